@@ -1,15 +1,41 @@
 import { StatusBar } from 'expo-status-bar';
-import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, TouchableOpacity, ActivityIndicator, Platform, ScrollView } from 'react-native';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, Platform, ScrollView, TextInput } from 'react-native';
 import { Asset } from 'expo-asset';
-import { loadNifti } from './utils/niftiLoader';
-import { findConnectedComponents } from './utils/lesionAnalysis';
-import { zNormalize, calculateContrastPercentiles } from './utils/imageProcessing';
+import { voxelToWorld, readNiftiHeaderFromFile } from './utils/niftiLoader';
+import { validateGrids } from './utils/gridCheck';
 import { renderSliceToDataURL } from './utils/renderer';
+import { buildSession, parseSession, matchSession, sessionToState, sessionFileName, sessionProgress, guessSessionId } from './utils/session';
+import { autosaveKey as makeAutosaveKey, raterAutosaveKey, saveAutosave, loadAutosave, deleteAutosave, listAutosaves, loadRaterName, saveRaterName } from './utils/sessionStore';
+import { downloadFile, readFileAsText, readFileAsArrayBuffer } from './utils/download';
+import { LESION_TABLE_COLUMNS, buildLesionRows, formatTable, buildColumnDictionary } from './utils/lesionTable';
+import { buildCategoryMap, bidsDerivativeName, buildDsegTsv, buildDsegSidecar, buildEditedMaskSidecar } from './utils/labelMap';
+import { writeNiftiGz } from './utils/niftiWriter';
+import { startVolumePipeline } from './utils/volumePipeline';
+import { describeExtraction } from './utils/lesionAnalysis';
+import { reorientVolume, invertTransform, displayToSourceVoxel } from './utils/orientation';
 import SliceViewer from './components/SliceViewer';
 import Slider from '@react-native-community/slider';
 import MultiSlider from '@ptomasroos/react-native-multi-slider';
 import DataLoadModal from './components/DataLoadModal';
+import DatasetQueue from './components/DatasetQueue';
+import AcquisitionInfo from './components/AcquisitionInfo';
+import { describeSidecar, readSidecars } from './utils/bidsSidecar';
+import { DATASET_FILE_KEYS, DATASET_FILE_LABELS, DATASET_TABLE_VERSION, DATASET_SUMMARY_COLUMNS, buildDatasetRows, latestSessionsByEntry, nextReadySubject, datasetEntryId, sidecarFor, needsFlairStarSynthesis, unresolvedSlots } from './utils/bidsDataset';
+import { describeFlairStarSynthesis } from './utils/flairStar';
+import RaterComparison from './components/RaterComparison';
+import LesionMetricsPanel from './components/LesionMetricsPanel';
+import { describeLesionMetrics, computeLesionMetrics, assignNearestLesions } from './utils/lesionMetrics';
+import LesionBrowser from './components/LesionBrowser';
+import { filterLesionIndices, lesionDiameterMm } from './utils/lesionFilter';
+import { DEFAULT_MIN_DIAMETER_MM, lesionExclusion, summarizeCvs, describeCvsSummary, exclusionLabel } from './utils/cvsCriteria';
+import CvsExclusionControl from './components/CvsExclusionControl';
+import MaskEditPanel from './components/MaskEditPanel';
+import DisplaySettings from './components/DisplaySettings';
+import FusionPanel, { DEFAULT_FUSION } from './components/FusionPanel';
+import { DEFAULT_COLOR_MAPS, DEFAULT_OVERLAY } from './utils/colorMaps';
+import { VIEW_LAYOUTS, LAYOUT_AXES, MODALITY_LABELS, DEFAULT_LAYOUT, normalizeLayout } from './utils/viewLayout';
+import { applyBrush, growRegion, relabel, splitByLine, applyDiff, mergeDiffs, netDiff, encodeDiff, diffLabels, isEmptyDiff, measureLabels, nextLabel, removeIndices } from './utils/maskEditing';
 import "./global.css"
 // Mapping for sample filenames using require for Metro bundling
 // Mapping for sample filenames using require for Metro bundling - DISABLED
@@ -23,10 +49,17 @@ import "./global.css"
 
 export default function App() {
   const [loading, setLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null); // { stage, percent, message } from the load pipeline
+  const pipelineJobRef = useRef(null); // running volume pipeline job ({ promise, cancel })
   const [volumes, setVolumes] = useState({});
   const [lesions, setLesions] = useState([]);
   const [dims, setDims] = useState([256, 256, 256]);
   const [pixDims, setPixDims] = useState([1, 1, 1]); // new state for voxel dimensions
+  const [affine, setAffine] = useState(null); // voxel -> scanner mm (FLAIRSTAR header)
+  const [lesionHeader, setLesionHeader] = useState(null); // template for NIfTI exports
+  const [orientation, setOrientation] = useState(null); // { transform, srcDims, sourceCodes, obliqueDeg }
+  const [extraction, setExtraction] = useState(null); // lesion extraction settings used for the loaded mask
+  const [lesionMetrics, setLesionMetrics] = useState([]); // per-lesion metrics (utils/lesionMetrics.js), same order as lesions
 
   // State
   const [modality, setModality] = useState('flairStar');
@@ -57,8 +90,61 @@ export default function App() {
     phase: { min: -3142, max: 3142 }, // Raw Phase can be large
   });
 
+  // Display: colour map per modality and lesion overlay style (utils/colorMaps.js), also used in the report
+  const [colorMaps, setColorMaps] = useState(DEFAULT_COLOR_MAPS);
+  const [overlay, setOverlay] = useState(DEFAULT_OVERLAY);
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT); // { id, axis } (utils/viewLayout.js), saved in the session
+  const [fusion, setFusion] = useState(DEFAULT_FUSION); // second modality over the displayed one (components/FusionPanel.js)
+
   const [veinLikelihood, setVeinLikelihood] = useState(0);
-  const [fileMetadata, setFileMetadata] = useState({});
+  const [fileMetadata, setFileMetadata] = useState({}); // { fileNames, filePaths, flairStarPath, sidecars, ... } of the loaded files
+
+  // Session identity (see utils/session.js)
+  const [subjectId, setSubjectId] = useState(null);
+  const [sessionLabel, setSessionLabel] = useState(null); // BIDS session (ses-XX), if any
+  const [sourceFiles, setSourceFiles] = useState({}); // { modality: { name, sha256 } }
+  const [raterName, setRaterName] = useState(loadRaterName); // kept across reloads so autosaves are found
+  const [sessionCreatedAt, setSessionCreatedAt] = useState(null);
+  const sessionInputRef = useRef(null);
+
+  // Multi-rater: blinded rating hides other raters' scores and the Session Stats
+  const [blinded, setBlinded] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [reviewQueue, setReviewQueue] = useState(null); // lesion indices for consensus review
+
+  // Lesion browser: active filters also restrict lesion navigation (utils/lesionFilter.js)
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [lesionFilters, setLesionFilters] = useState([]);
+
+  // NAIMS CVS exclusions: rater choices per lesion index (null = explicitly included);
+  // lesions without an entry use the automatic diameter flag (utils/cvsCriteria.js)
+  const [lesionExclusions, setLesionExclusions] = useState({});
+  const [minCvsDiameterMm, setMinCvsDiameterMm] = useState(DEFAULT_MIN_DIAMETER_MM);
+
+  // Mask editing (utils/maskEditing.js): edits change volumes.lesion in place; each history
+  // entry holds the voxel diff and the per-lesion state before and after the edit
+  const [editTool, setEditTool] = useState('navigate');
+  const [brushRadiusMm, setBrushRadiusMm] = useState(1.5);
+  const [brushMode, setBrushMode] = useState('2d');
+  const [growSettings, setGrowSettings] = useState({ source: 'flairStar', threshold: 2, maxRadiusMm: 10 }); // "Add lesion" region growing
+  const [editHistory, setEditHistory] = useState({ undo: [], redo: [] });
+  const strokeRef = useRef(null); // paint/erase stroke in progress { diffs, before }
+
+  // Autosave (IndexedDB). Disabled until the resume/start-fresh choice is made.
+  const [autosaveKey, setAutosaveKey] = useState(null); // subject and files; the rater is added per save
+  const [pendingResume, setPendingResume] = useState(null); // { session, progress, key }
+  const raterKey = autosaveKey && raterAutosaveKey(autosaveKey, raterName);
+  // Rater key the autosave currently writes to: set once that key's earlier autosave was resumed,
+  // discarded or found empty; renaming the rater moves the autosave to the new key
+  const lastRaterKeyRef = useRef(null);
+
+  // Dataset review queue (utils/bidsDataset.js): subjects/sessions from the last BIDS folder
+  // scan and the latest autosaved rating of each, refreshed whenever the queue is opened
+  const [dataset, setDataset] = useState(null); // { entryId: { id, subjectId, sessionLabel, flairStar, lesion, ... } }
+  const [datasetSessions, setDatasetSessions] = useState({});
+  const [showDataset, setShowDataset] = useState(false);
+  const [showAcquisition, setShowAcquisition] = useState(false);
+  const loadOptionsRef = useRef({}); // pipeline options of the last load, reused by the queue
 
   // Helper to get current contrast
   const currentMin = contrastSettings[modality]?.min ?? -1.5;
@@ -78,18 +164,61 @@ export default function App() {
     }));
   };
 
+  useEffect(() => {
+    if (Platform.OS === 'web') saveRaterName(raterName);
+  }, [raterName]);
+
+  // Autosave the session shortly after every rating change or mask edit
+  useEffect(() => {
+    if (Platform.OS !== 'web' || !autosaveKey || pendingResume || lesions.length === 0) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const previous = lastRaterKeyRef.current;
+        if (previous !== raterKey) {
+          // Never overwrite a rating saved under this rater that was not resumed: offer it instead
+          const existing = await loadAutosave(raterKey);
+          if (cancelled) return;
+          const progress = existing && sessionProgress(existing);
+          if (existing && (progress.rated > 0 || existing.maskEdits)) {
+            setPendingResume({ session: existing, progress, key: raterKey });
+            return;
+          }
+          lastRaterKeyRef.current = raterKey;
+        }
+        await saveAutosave(raterKey, currentSession());
+        if (previous && previous !== raterKey && previous.startsWith(`${autosaveKey}:`)) await deleteAutosave(previous);
+      } catch (e) {
+        console.warn("Autosave failed:", e);
+      }
+    }, 500);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [autosaveKey, raterKey, pendingResume, lesions, editHistory, lesionScores, lesionPRL, lesionCoords, lesionExclusions, minCvsDiameterMm, contrastSettings, layout, raterName, blinded]);
+
   // Keyboard Shortcuts
   useEffect(() => {
     if (Platform.OS !== 'web') return;
 
     const handleKeyDown = (e) => {
-      // Ignore if input is focused (though we don't have text inputs yet)
+      // Ignore keys typed into text inputs (e.g. rater name)
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+        e.preventDefault();
+        if (e.key === 'y' || e.shiftKey) redoEdit(); else undoEdit();
+        return;
+      }
       switch (e.key) {
         case '1': setModality('flairStar'); break;
         case '2': setModality('swi'); break;
         case '3': setModality('flair'); break;
         case '4': setModality('phase'); break;
         case 'x': setShowMask(prev => !prev); break;
+        case 'f': setFusion(prev => ({ ...prev, enabled: !prev.enabled })); break;
         case 'ArrowLeft': handlePrevLesion(); break;
         case 'ArrowRight': handleNextLesion(); break;
         case 'ArrowUp': setZoom(z => Math.min(10, z + 0.1)); break;
@@ -99,7 +228,7 @@ export default function App() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [lesionIndex, lesions, modality]);
+  }, [lesionIndex, lesions, modality, reviewQueue, lesionFilters, lesionScores, lesionPRL, lesionMetrics, editHistory]);
 
   const loadData = async () => {
     alert("Sample data has been disabled. Please use 'Load Data' to upload your own files.");
@@ -117,6 +246,49 @@ export default function App() {
     });
   };
 
+  // ctrl+wheel zoom. With an anchor (voxel under the pointer) the FOV centre is moved so
+  // that the anchor stays at the same place on screen.
+  const handleZoomAt = (factor, anchor) => {
+    const newZoom = Math.max(0.2, Math.min(10, zoom * factor));
+    if (newZoom === zoom) return;
+    setZoom(newZoom);
+    if (!anchor) return;
+
+    const ratio = zoom / newZoom; // FOV size scales with 1 / zoom
+    handleUpdateCoords(prev => {
+      const next = {};
+      ['x', 'y', 'z'].forEach((k, i) => {
+        const v = Math.round(anchor[k] + (prev[k] - anchor[k]) * ratio);
+        next[k] = Math.max(0, Math.min(dims[i] - 1, v));
+      });
+      return next;
+    });
+  };
+
+  // Lesion picked from the mask overlay in a slice view
+  const selectLesionByLabel = (label) => {
+    const idx = lesions.findIndex(l => l.id === label);
+    if (idx !== -1) jumpToLesion(idx);
+  };
+
+  // Hover tooltip text for a mask label (labels below the size filter are not lesions)
+  const describeLesionLabel = (label) => {
+    const idx = lesions.findIndex(l => l.id === label);
+    if (idx === -1) return { title: `Label ${label}`, lines: ['Not in lesion list'] };
+    const l = lesions[idx];
+    const score = lesionScores[idx];
+    const volumeMl = lesionMetrics[idx]?.volumeMl ?? (l.volume * pixDims[0] * pixDims[1] * pixDims[2]) / 1000;
+    const rating = [
+      score === undefined || score === null ? 'Unrated' : `CVS ${(score * 100).toFixed(0)}%`,
+      lesionPRL[idx] ? 'PRL+' : null,
+      exclusionOf(idx).reason ? 'Excluded' : null
+    ].filter(Boolean).join(' | ');
+    return {
+      title: `Lesion ${idx + 1}${l.added ? ' (rater-added)' : ''}${idx === lesionIndex ? ' (current)' : ''}`,
+      lines: [`Vol: ${volumeMl.toFixed(3)} ml (${l.volume} vox)`, rating]
+    };
+  };
+
   const jumpToLesion = (idx) => {
     if (idx < 0 || idx >= lesions.length) return;
     setLesionIndex(idx);
@@ -134,126 +306,749 @@ export default function App() {
   };
 
   // Callback from DataLoadModal
-  const handleDataLoad = async (buffers, metadata, statusCb) => {
-    // Handle optional metadata/callback args
-    let cb = statusCb;
-    if (typeof metadata === 'function') {
-      cb = metadata;
-      metadata = {};
-    }
-    setFileMetadata(metadata || {});
-    setLoading("Parsing NIfTI headers...");
-    try {
-      // Re-use logic similar to loadData but with provided buffers
-      // Buffers: { flairStar, lesion, swi, flair, phase } (all ArrayBuffers)
-
-      const parse = (buf) => buf ? loadNifti(buf) : null;
-
-      setLoading("Parsing NIfTI headers...");
-      await new Promise(r => setTimeout(r, 20));
-
-      const vFlairStar = parse(buffers.flairStar);
-      const vLesion = parse(buffers.lesion);
-      const vSwi = parse(buffers.swi);
-      const vFlair = parse(buffers.flair);
-      const vPhase = parse(buffers.phase);
-
-      if (!vFlairStar || !vLesion) throw new Error("Missing Core Files");
-
-      // Update Dims
-      setDims(vFlairStar.header.dims.slice(1, 4));
-      setPixDims(vFlairStar.header.pixDims ? vFlairStar.header.pixDims.slice(1, 4) : [1, 1, 1]);
-
-      // Process
-      setLoading("Normalizing volumes...");
-      await new Promise(r => setTimeout(r, 20));
-
-      const normFlairStar = zNormalize(vFlairStar.data);
-      const normSwi = vSwi ? zNormalize(vSwi.data) : null;
-      const normFlair = vFlair ? zNormalize(vFlair.data) : null;
-      const rawPhase = vPhase ? vPhase.data : null;
-
-      // Percs
-      const flairStarPerc = calculateContrastPercentiles(normFlairStar, 2.0, 99.5);
-      const swiPerc = vSwi ? calculateContrastPercentiles(normSwi, 2.0, 99.5) : { min: -1.5, max: 1.96 };
-      const flairPerc = vFlair ? calculateContrastPercentiles(normFlair, 2.0, 99.5) : { min: -1.5, max: 1.96 };
+  // Progress is shown by App's own loading screen (loadProgress), not reported back to the modal
+  const handleDataLoad = async (buffers, metadata, options = {}) => {
+    // A new subject replaces any load still in progress
+    if (pipelineJobRef.current) pipelineJobRef.current.cancel();
+    loadOptionsRef.current = { resampleToReference: !!options.resampleToReference, biasCorrection: !!options.biasCorrection, extraction: options.extraction };
 
-      // Lesion Analysis
-      setLoading("Analyzing lesions (CCA)...");
-      await new Promise(r => setTimeout(r, 20));
+    setFileMetadata(metadata || {});
+    setAutosaveKey(null); // stop autosaving the previous subject while its state is replaced
+    lastRaterKeyRef.current = null;
+    setLoading(true);
+    setLoadProgress({ stage: 'parse', percent: 0, message: "Starting..." });
+
+    // Parsing, normalization and lesion analysis run in a Web Worker (utils/volumePipeline.js).
+    // Buffers: { flairStar, lesion, swi, flair, phase } (all ArrayBuffers, transferred to the worker)
+    // Without a FLAIRSTAR buffer the pipeline can synthesise FLAIR* from FLAIR and SWI (utils/flairStar.js)
+    const pipelineOptions = {
+      resampleToReference: !!options.resampleToReference,
+      synthesizeFlairStar: !!options.synthesizeFlairStar,
+      biasCorrection: !!options.biasCorrection,
+      extraction: options.extraction
+    };
+    const job = startVolumePipeline(buffers, pipelineOptions, (progress) => {
+      if (pipelineJobRef.current === job) setLoadProgress(progress);
+    });
+    pipelineJobRef.current = job;
 
-      console.log("Analyzing new lesions...");
-      const analysis = await findConnectedComponents(vLesion.data, vFlairStar.dims, (msg) => setLoading(msg));
-      setLesions(analysis.lesions);
+    try {
+      const result = await job.promise;
+      if (pipelineJobRef.current !== job) return;
+
+      const fingerprints = {};
+      Object.keys(result.fingerprints).forEach(key => {
+        fingerprints[key] = {
+          name: metadata?.fileNames?.[key] || null,
+          sha256: result.fingerprints[key]
+        };
+      });
 
-      setLoading("Finalizing...");
-      await new Promise(r => setTimeout(r, 20));
+      setDims(result.dims);
+      setPixDims(result.pixDims);
+      setAffine(result.affine);
+      // A resampled mask lives on the FLAIRSTAR grid, so exports use that header
+      setLesionHeader(result.lesionResampled ? result.headers.flairStar : result.headers.lesion);
+      setOrientation(result.orientation);
 
-      setVolumes({
-        flairStar: normFlairStar,
-        phase: rawPhase,
-        swi: normSwi,
-        flair: normFlair,
-        lesion: analysis.labeledMask
-      });
+      setLesions(result.lesions);
+      setLesionMetrics(result.lesionMetrics);
+      setExtraction(result.extraction);
+      setVolumes(result.volumes);
 
       // Reset Persistence
       setLesionCoords({});
       setLesionScores({});
       setLesionPRL({});
-
-      // Limits
-      setContrastLimits({
-        flairStar: calculateContrastPercentiles(normFlairStar, 0.01, 99.99),
-        swi: vSwi ? calculateContrastPercentiles(normSwi, 0.01, 99.99) : { min: -5, max: 10 },
-        flair: vFlair ? calculateContrastPercentiles(normFlair, 0.01, 99.99) : { min: -5, max: 10 },
-        phase: vPhase ? calculateContrastPercentiles(vPhase.data, 0.01, 99.99) : { min: -1000, max: 1000 }
-      });
-
-      setContrastSettings({
-        flairStar: flairStarPerc,
-        swi: swiPerc,
-        flair: flairPerc,
-        phase: { min: -500, max: 500 }
-      });
+      setLesionExclusions({});
+      setReviewQueue(null);
+      setEditHistory({ undo: [], redo: [] });
+      setVeinLikelihood(0);
+      setSubjectId(metadata?.subjectId || null);
+      setSessionLabel(metadata?.sessionLabel || guessSessionId(metadata?.fileNames?.flairStar) || guessSessionId(metadata?.fileNames?.lesion) || null);
+      setSourceFiles(fingerprints);
+      if (result.flairStarSynthesis) setFileMetadata(prev => ({ ...prev, flairStarSynthesis: result.flairStarSynthesis }));
+      setSessionCreatedAt(new Date().toISOString());
+
+      setContrastLimits(result.contrastLimits);
+      setContrastSettings(result.contrastSettings);
 
       // Initial Coords
-      if (analysis.lesions.length > 0) {
+      if (result.lesions.length > 0) {
         setLesionIndex(0);
-        const first = analysis.lesions[0];
+        const first = result.lesions[0];
         setCoords({ x: first.x, y: first.y, z: first.z });
       }
 
+      // Offer to resume an autosaved rating of the same subject and files
+      // (the dataset queue resumes it directly)
+      const key = makeAutosaveKey(metadata?.subjectId, fingerprints);
+      setPendingResume(null);
+      try {
+        const savedKey = raterAutosaveKey(key, raterName);
+        const saved = Platform.OS === 'web' ? await loadAutosave(savedKey) : null;
+        if (saved) {
+          const base = {
+            mask: result.volumes.lesion, volumes: result.volumes, dims: result.dims, pixDims: result.pixDims,
+            lesions: result.lesions, lesionMetrics: result.lesionMetrics, pendingEdits: null
+          };
+          const match = matchSessionToBase(saved, base, { subjectId: metadata?.subjectId, sessionLabel: metadata?.sessionLabel, sourceFiles: fingerprints, extraction: result.extraction });
+          const progress = sessionProgress(saved);
+          if (match.errors.length > 0) {
+            console.warn("Autosaved session does not match the loaded mask:", match.errors);
+          } else if ((progress.rated > 0 || match.diff) && !(blinded && isOtherRater(saved))) {
+            if (options.autoResume) {
+              applySession(saved, 0, base, match);
+              lastRaterKeyRef.current = savedKey;
+            } else {
+              setPendingResume({ session: saved, progress, key: savedKey });
+            }
+          }
+        }
+      } catch (e) {
+        console.warn("Could not read autosaved session:", e);
+      }
+      if (pipelineJobRef.current === job) setAutosaveKey(key);
+
     } catch (e) {
+      if (e.cancelled) return;
       console.error(e);
       alert("Error processing loaded data: " + e.message);
     } finally {
-      setLoading(false);
+      if (pipelineJobRef.current === job) {
+        pipelineJobRef.current = null;
+        setLoadProgress(null);
+        setLoading(false);
+      }
     }
   };
 
+  // Abort the load in progress; the previously loaded subject (if any) stays on screen
+  const cancelDataLoad = () => {
+    if (!pipelineJobRef.current) return;
+    pipelineJobRef.current.cancel();
+    pipelineJobRef.current = null;
+    setLoadProgress(null);
+    setLoading(false);
+  };
+
+  // Step through a subset of lesions (e.g. discordant ones), wrapping around
+  const stepInList = (list, dir) => {
+    if (list.length === 0) return;
+    const pos = list.indexOf(lesionIndex);
+    let next;
+    if (pos === -1) {
+      // Not on a listed lesion: go to the nearest listed one in that direction
+      next = dir > 0 ? list.find(i => i > lesionIndex) ?? list[0] : [...list].reverse().find(i => i < lesionIndex) ?? list[list.length - 1];
+    } else {
+      next = list[(pos + dir + list.length) % list.length];
+    }
+    jumpToLesion(next);
+  };
+
+  // Lesions passing the browser filters, or null when no filter is active
+  const filteredLesionIndices = () => lesionFilters.length > 0
+    ? filterLesionIndices({ lesions, lesionMetrics, lesionScores, lesionPRL }, lesionFilters)
+    : null;
+
+  const toggleLesionFilter = (id) => {
+    setLesionFilters(prev => prev.includes(id) ? prev.filter(f => f !== id) : [...prev, id]);
+  };
 
   const handleNextLesion = () => {
     if (lesions.length === 0) return;
+    if (reviewQueue) { stepInList(reviewQueue, 1); return; }
+    const filtered = filteredLesionIndices();
+    if (filtered) { stepInList(filtered, 1); return; }
     const nextIdx = (lesionIndex + 1) % lesions.length;
     jumpToLesion(nextIdx);
   };
 
   const handlePrevLesion = () => {
     if (lesions.length === 0) return;
+    if (reviewQueue) { stepInList(reviewQueue, -1); return; }
+    const filtered = filteredLesionIndices();
+    if (filtered) { stepInList(filtered, -1); return; }
     const prevIdx = (lesionIndex - 1 + lesions.length) % lesions.length;
     jumpToLesion(prevIdx);
   };
 
+  const startConsensusReview = (indices) => {
+    const queue = [...indices].sort((a, b) => a - b);
+    setReviewQueue(queue);
+    setShowComparison(false);
+    if (queue.length > 0) jumpToLesion(queue[0]);
+  };
+
+  const exclusionOf = (idx) => lesionExclusion(idx, lesionExclusions, lesionMetrics, minCvsDiameterMm);
+
+  // reason: exclusion id, null to include the lesion, undefined to use the automatic flag
+  const setExclusion = (reason) => {
+    setLesionExclusions(prev => {
+      const next = { ...prev };
+      if (reason === undefined) delete next[lesionIndex];
+      else next[lesionIndex] = reason;
+      return next;
+    });
+  };
+
   const updateScore = (val) => {
     setVeinLikelihood(val);
     setLesionScores(prev => ({ ...prev, [lesionIndex]: val }));
   };
 
+  const currentSession = () => buildSession({
+    subjectId, sessionLabel, raterName, blinded, sourceFiles, lesions, pixDims,
+    lesionScores, lesionPRL, lesionCoords, lesionExclusions, contrastSettings, extraction, layout,
+    cvsCriteria: { minDiameterMm: minCvsDiameterMm },
+    cvsSummary,
+    createdAt: sessionCreatedAt,
+    maskEdits: editHistory.undo.length > 0 ? encodeDiff(netDiff(editHistory.undo.map(e => e.diff))) : null,
+    dims
+  });
+
+  // The loaded mask and lesion list as they were before any edit in this viewer; pendingEdits
+  // is the net edit applied to the mask since then
+  const uneditedBase = () => {
+    const first = editHistory.undo[0];
+    return {
+      mask: volumes.lesion, volumes, dims, pixDims,
+      lesions: first ? first.before.lesions : lesions,
+      lesionMetrics: first ? first.before.lesionMetrics : lesionMetrics,
+      pendingEdits: first ? netDiff(editHistory.undo.map(e => e.diff)) : null
+    };
+  };
+
+  // matchSession against the unedited mask; the viewer's own edits are put back afterwards
+  const matchSessionToBase = (session, base, context) => {
+    if (base.pendingEdits) applyDiff(base.mask, base.pendingEdits, 'undo');
+    try {
+      return matchSession(session, { mask: base.mask, dims: base.dims, lesions: base.lesions, ...context });
+    } finally {
+      if (base.pendingEdits) applyDiff(base.mask, base.pendingEdits, 'redo');
+    }
+  };
+
+  // Another rater's session for Compare Raters, matched the way an import is: its own mask
+  // edits replayed, plus which of its lesions it excludes from CVS under the NAIMS criteria
+  const matchRaterSession = (session) => {
+    const base = uneditedBase();
+    const match = matchSessionToBase(session, base, { subjectId, sessionLabel, sourceFiles, extraction });
+    if (match.errors.length > 0) return match;
+
+    let metrics = base.lesionMetrics;
+    if (match.diff) {
+      if (base.pendingEdits) applyDiff(base.mask, base.pendingEdits, 'undo');
+      applyDiff(base.mask, match.diff, 'redo');
+      try {
+        metrics = computeLesionMetrics(base.mask, base.dims, base.pixDims, match.lesions, base.volumes);
+      } finally {
+        applyDiff(base.mask, match.diff, 'undo');
+        if (base.pendingEdits) applyDiff(base.mask, base.pendingEdits, 'redo');
+      }
+    }
+    const { lesionExclusions: exclusions } = sessionToState(session);
+    const minDiameterMm = session.cvsCriteria?.minDiameterMm ?? DEFAULT_MIN_DIAMETER_MM;
+    const excluded = match.lesions.map((_, idx) => !!lesionExclusion(idx, exclusions, metrics, minDiameterMm).reason);
+    return { ...match, excluded };
+  };
+
+  // Another rater's session would reveal their scores
+  const isOtherRater = (session) => !!session.rater && session.rater !== raterName;
+
+  const exportSession = () => {
+    if (Platform.OS !== 'web') {
+      alert("Notice: Session export is web-only for this demo.");
+      return;
+    }
+    const session = currentSession();
+    downloadFile(JSON.stringify(session, null, 2), sessionFileName(session), 'application/json');
+  };
+
+  const handleSessionFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+
+    try {
+      const session = parseSession(await readFileAsText(file));
+      const base = uneditedBase();
+      const match = matchSessionToBase(session, base, { subjectId, sessionLabel, sourceFiles, extraction });
+      const { errors } = match;
+      const warnings = [...match.warnings];
+      if (session.rater && session.rater !== raterName) {
+        warnings.push(`Session was rated by "${session.rater}"; ratings saved from now on are attributed to ${raterName ? `"${raterName}"` : 'no rater name'}.`);
+      }
+      if (base.pendingEdits && !isEmptyDiff(base.pendingEdits)) {
+        warnings.push("Your mask edits since loading are replaced by the session's.");
+      }
+
+      if (errors.length > 0) {
+        alert("Cannot import session - it does not match the loaded lesion mask:\n\n" + errors.join('\n'));
+        return;
+      }
+      if (blinded && isOtherRater(session)) {
+        alert(`Blinded mode: cannot load a session rated by "${session.rater}".`);
+        return;
+      }
+      if (warnings.length > 0 && !window.confirm("Session loaded with warnings:\n\n" + warnings.join('\n') + "\n\nImport anyway?")) {
+        return;
+      }
+
+      applySession(session, lesionIndex, base, match);
+    } catch (e) {
+      console.error(e);
+      alert("Error importing session: " + e.message);
+    }
+  };
+
+  const exportLesionTable = (delimiter) => {
+    if (Platform.OS !== 'web') {
+      alert("Notice: Table export is web-only for this demo.");
+      return;
+    }
+    const rows = buildLesionRows({
+      subjectId, sessionLabel, raterName, lesions, pixDims, affine, orientation,
+      lesionScores, lesionPRL, lesionCoords,
+      exclusions: lesions.map((_, idx) => exclusionOf(idx))
+    });
+    const ext = delimiter === '\t' ? 'tsv' : 'csv';
+    const baseName = `${subjectLabel}_cvsview-lesions`;
+    downloadFile(formatTable(rows, LESION_TABLE_COLUMNS, delimiter), `${baseName}.${ext}`, delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv');
+    downloadFile(JSON.stringify(buildColumnDictionary(LESION_TABLE_COLUMNS), null, 2), `${baseName}.json`, 'application/json');
+  };
+
+  const exportLabelMap = async () => {
+    if (Platform.OS !== 'web') {
+      alert("Notice: NIfTI export is web-only for this demo.");
+      return;
+    }
+    try {
+      // Category codes are built in the display frame, then written back in the mask's own voxel order
+      const displayCodes = buildCategoryMap(volumes.lesion, lesions, lesionScores, lesionPRL);
+      const codes = orientation ? reorientVolume(displayCodes, dims, invertTransform(orientation.transform)) : displayCodes;
+      const nameParts = {
+        subjectId,
+        sessionId: sessionLabel,
+        space: 'swi',
+        desc: 'cvs',
+        suffix: 'dseg'
+      };
+      const niiGz = await writeNiftiGz(lesionHeader, codes, { datatypeCode: 2, description: 'CvsView CVS/PRL categories' });
+
+      downloadFile(niiGz, bidsDerivativeName({ ...nameParts, extension: '.nii.gz' }), 'application/gzip');
+      downloadFile(JSON.stringify(buildDsegSidecar({ sourceFiles, raterName }), null, 2), bidsDerivativeName({ ...nameParts, extension: '.json' }), 'application/json');
+      downloadFile(buildDsegTsv(), bidsDerivativeName({ ...nameParts, extension: '.tsv' }), 'text/tab-separated-values');
+    } catch (e) {
+      console.error(e);
+      alert("Error exporting label map: " + e.message);
+    }
+  };
+
+  // --- Mask editing ---
+  const lesionStateSnapshot = () => ({
+    lesions, lesionMetrics, lesionScores, lesionPRL, lesionCoords, lesionExclusions, reviewQueue, lesionIndex
+  });
+
+  const restoreLesionState = (snap) => {
+    setLesions(snap.lesions);
+    setLesionMetrics(snap.lesionMetrics);
+    setLesionScores(snap.lesionScores);
+    setLesionPRL(snap.lesionPRL);
+    setLesionCoords(snap.lesionCoords);
+    setLesionExclusions(snap.lesionExclusions);
+    setReviewQueue(snap.reviewQueue);
+    setLesionIndex(snap.lesionIndex);
+    setVeinLikelihood(snap.lesionScores[snap.lesionIndex] || 0);
+    setVolumes(prev => ({ ...prev })); // mask changed in place
+  };
+
+  // Update the lesion list after `diff` was applied to the mask: re-measure only the
+  // labels it touched, drop lesions left without voxels (re-keying the per-lesion maps),
+  // and append `newLesions` ({ id, ...flags }); `selectNew` makes the first one current
+  const commitEdit = (name, diff, before, { newLesions = [], selectNew = false } = {}) => {
+    const touched = diffLabels(diff);
+    const measured = measureLabels(volumes.lesion, dims, touched);
+
+    const removed = new Set();
+    const changed = [];
+    const edited = lesions.map((l, idx) => {
+      if (!touched.has(l.id)) return l;
+      const m = measured.get(l.id);
+      if (!m) {
+        removed.add(idx);
+        return l;
+      }
+      changed.push(idx);
+      return { ...l, ...m };
+    });
+    const firstNew = edited.length;
+    newLesions.forEach(stub => {
+      const m = measured.get(stub.id);
+      if (!m) return;
+      changed.push(edited.length);
+      edited.push({ ...stub, ...m });
+    });
+
+    const metrics = [...lesionMetrics];
+    const changedMetrics = computeLesionMetrics(volumes.lesion, dims, pixDims, changed.map(idx => edited[idx]), volumes);
+    changed.forEach((idx, k) => { metrics[idx] = changedMetrics[k]; });
+
+    const keep = (_, idx) => !removed.has(idx);
+    const shifted = (idx) => idx - [...removed].filter(r => r < idx).length;
+    let nextIndex = lesionIndex;
+    if (removed.has(lesionIndex)) nextIndex = Math.min(shifted(lesionIndex), edited.length - removed.size - 1);
+    else nextIndex = shifted(lesionIndex);
+    if (selectNew && edited.length > firstNew) nextIndex = shifted(firstNew);
+
+    const after = {
+      lesions: edited.filter(keep),
+      lesionMetrics: assignNearestLesions(metrics.filter(keep)),
+      lesionScores: removeIndices(lesionScores, removed),
+      lesionPRL: removeIndices(lesionPRL, removed),
+      lesionCoords: removeIndices(lesionCoords, removed),
+      lesionExclusions: removeIndices(lesionExclusions, removed),
+      reviewQueue: reviewQueue && reviewQueue.filter(idx => !removed.has(idx)).map(shifted),
+      lesionIndex: Math.max(0, nextIndex)
+    };
+
+    restoreLesionState(after);
+    setEditHistory(prev => ({ undo: [...prev.undo, { name, diff, before, after }], redo: [] }));
+  };
+
+  const undoEdit = () => {
+    const entry = editHistory.undo[editHistory.undo.length - 1];
+    if (!entry) return;
+    applyDiff(volumes.lesion, entry.diff, 'undo');
+    restoreLesionState(entry.before);
+    setEditHistory(prev => ({ undo: prev.undo.slice(0, -1), redo: [...prev.redo, entry] }));
+  };
+
+  const redoEdit = () => {
+    const entry = editHistory.redo[editHistory.redo.length - 1];
+    if (!entry) return;
+    applyDiff(volumes.lesion, entry.diff, 'redo');
+    restoreLesionState(entry.after);
+    setEditHistory(prev => ({ undo: [...prev.undo, entry], redo: prev.redo.slice(0, -1) }));
+  };
+
+  // Paint/erase strokes from the slice views; one stroke is one undo step
+  // 'addDraw' strokes paint a new label and then switch to 'paint' so the new lesion can be
+  // extended slice by slice
+  const handleBrush = (phase, voxel, axis) => {
+    if (!volumes.lesion) return;
+
+    if (phase === 'start') {
+      const label = editTool === 'erase' ? 0 : editTool === 'addDraw' ? nextLabel(volumes.lesion, lesions) : lesions[lesionIndex]?.id;
+      strokeRef.current = label === undefined ? null : { tool: editTool, label, diffs: [], before: lesionStateSnapshot() };
+    }
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+
+    if (phase === 'end') {
+      strokeRef.current = null;
+      const diff = mergeDiffs(stroke.diffs);
+      if (isEmptyDiff(diff)) return;
+      if (stroke.tool === 'addDraw') {
+        commitEdit('Add', diff, stroke.before, { newLesions: [{ id: stroke.label, added: true }], selectNew: true });
+        setEditTool('paint');
+      } else {
+        commitEdit(stroke.tool === 'erase' ? 'Erase' : 'Paint', diff, stroke.before);
+      }
+      return;
+    }
+
+    if (!voxel) return;
+    const diff = applyBrush(volumes.lesion, dims, pixDims, voxel, {
+      radiusMm: brushRadiusMm, mode: brushMode, axis, label: stroke.label, erase: stroke.tool === 'erase'
+    });
+    if (!isEmptyDiff(diff)) {
+      stroke.diffs.push(diff);
+      setVolumes(prev => ({ ...prev }));
+    }
+  };
+
+  const mergeIntoCurrent = (label) => {
+    const current = lesions[lesionIndex];
+    if (!current || label === current.id) return;
+    // The merged lesion's rating is dropped; the current lesion keeps its own
+    const mergedIdx = lesions.findIndex(l => l.id === label);
+    const rated = mergedIdx >= 0 && (lesionScores[mergedIdx] !== undefined || lesionPRL[mergedIdx] || lesionExclusions[mergedIdx] !== undefined);
+    if (rated && Platform.OS === 'web' && !window.confirm(`Merge lesion ${mergedIdx + 1} into lesion ${lesionIndex + 1}? The rating of lesion ${mergedIdx + 1} is removed.`)) return;
+    const before = lesionStateSnapshot();
+    commitEdit('Merge', relabel(volumes.lesion, label, current.id), before);
+  };
+
+  const splitCurrentLesion = ({ axis, p0, p1 }) => {
+    const current = lesions[lesionIndex];
+    if (!current) return;
+    const before = lesionStateSnapshot();
+    const newLabel = nextLabel(volumes.lesion, lesions);
+    const diff = splitByLine(volumes.lesion, dims, current.id, axis, p0, p1, newLabel);
+    if (isEmptyDiff(diff) || diff.indices.length === current.volume) {
+      applyDiff(volumes.lesion, diff, 'undo');
+      alert("The cut line does not divide the current lesion.");
+      return;
+    }
+    commitEdit('Split', diff, before, { newLesions: [{ id: newLabel }] });
+  };
+
+  // Region grown from a clicked seed on FLAIRSTAR or FLAIR (z-scored, see volumePipeline.js)
+  const addLesionAtSeed = (seed) => {
+    const image = volumes[growSettings.source];
+    if (!image) {
+      alert(`No ${growSettings.source === 'flair' ? 'FLAIR' : 'FLAIRSTAR'} volume loaded.`);
+      return;
+    }
+    const before = lesionStateSnapshot();
+    const label = nextLabel(volumes.lesion, lesions);
+    const diff = growRegion(volumes.lesion, dims, pixDims, image, seed, growSettings, label);
+    if (!diff) {
+      alert("The seed is already part of a lesion or below the intensity threshold.");
+      return;
+    }
+    commitEdit('Add', diff, before, { newLesions: [{ id: label, added: true }], selectNew: true });
+  };
+
+  const deleteCurrentLesion = () => {
+    const current = lesions[lesionIndex];
+    if (!current) return;
+    if (Platform.OS === 'web' && !window.confirm(`Delete lesion ${lesionIndex + 1} from the mask? Its rating is removed too.`)) return;
+    const before = lesionStateSnapshot();
+    commitEdit('Delete', relabel(volumes.lesion, current.id, 0), before);
+  };
+
+  // Edited integer labels, written back in the mask's own voxel order
+  const exportEditedMask = async () => {
+    if (Platform.OS !== 'web') {
+      alert("Notice: NIfTI export is web-only for this demo.");
+      return;
+    }
+    try {
+      const labels = orientation ? reorientVolume(volumes.lesion, dims, invertTransform(orientation.transform)) : volumes.lesion;
+      const niiGz = await writeNiftiGz(lesionHeader, labels, { datatypeCode: 8, description: 'CvsView edited lesion labels' });
+      const nameParts = {
+        subjectId,
+        sessionId: sessionLabel,
+        space: 'swi',
+        desc: 'edited',
+        suffix: 'mask'
+      };
+      downloadFile(niiGz, bidsDerivativeName({ ...nameParts, extension: '.nii.gz' }), 'application/gzip');
+      downloadFile(JSON.stringify(buildEditedMaskSidecar({ sourceFiles, raterName, lesions }), null, 2), bidsDerivativeName({ ...nameParts, extension: '.json' }), 'application/json');
+    } catch (e) {
+      console.error(e);
+      alert("Error exporting edited mask: " + e.message);
+    }
+  };
+
+  // Comparison layouts: one plane of every loaded modality, each with its own window and
+  // colour map; the views share coords, so the crosshair is linked
+  const renderModalityViews = () => {
+    const axis = layout.axis;
+    const axisLabel = LAYOUT_AXES.find(a => a.id === axis)?.label;
+    const views = Object.keys(MODALITY_LABELS).filter(m => volumes[m]).map(m => (
+      <SliceViewer key={m} label={`${MODALITY_LABELS[m]} ${axisLabel}`} axis={axis} volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom}
+        windowMin={contrastSettings[m]?.min} windowMax={contrastSettings[m]?.max} modality={m} showMask={showMask} cursor="crosshair" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
+        onClick={handleUpdateCoords} interactive onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel}
+        colorMap={colorMaps[m]} overlay={overlay} {...editProps}
+        onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, [axis]: val }))}
+      />
+    ));
+
+    if (layout.id === 'modalityRow') return <View className="flex-1 flex-row gap-2">{views}</View>;
+    return (
+      <>
+        <View className="flex-1 flex-row gap-2">{views.slice(0, 2)}</View>
+        <View className="flex-1 flex-row gap-2">{views.slice(2, 4)}</View>
+      </>
+    );
+  };
+
+  const displayProps = { colorMap: colorMaps[modality], overlay, fusion: fusionSettings };
+  const editProps = { editTool, onBrush: handleBrush, onMergeLabel: mergeIntoCurrent, onSplitLine: splitCurrentLesion, onAddSeed: addLesionAtSeed };
+
+  // Replace the lesion state with a session matched by matchSessionToBase: the mask is reset
+  // to `base` and the session's own edits are applied, as one undoable "Saved edits" step
+  const applySession = (session, currentIndex, base, match) => {
+    const restored = sessionToState(session);
+    const index = Math.max(0, Math.min(currentIndex, match.lesions.length - 1));
+    if (base.pendingEdits) applyDiff(base.mask, base.pendingEdits, 'undo');
+    if (match.diff) {
+      applyDiff(base.mask, match.diff, 'redo');
+      const metrics = computeLesionMetrics(base.mask, base.dims, base.pixDims, match.lesions, base.volumes);
+      setLesions(match.lesions);
+      setLesionMetrics(metrics);
+      setEditHistory({
+        undo: [{
+          name: 'Saved edits',
+          diff: match.diff,
+          before: {
+            lesions: base.lesions, lesionMetrics: base.lesionMetrics,
+            lesionScores: {}, lesionPRL: {}, lesionCoords: {}, lesionExclusions: {}, reviewQueue: null, lesionIndex: 0
+          },
+          after: { lesions: match.lesions, lesionMetrics: metrics, ...restored, reviewQueue: null, lesionIndex: index }
+        }],
+        redo: []
+      });
+    } else {
+      setLesions(base.lesions);
+      setLesionMetrics(base.lesionMetrics);
+      setEditHistory({ undo: [], redo: [] });
+    }
+    setVolumes(prev => ({ ...prev })); // mask changed in place
+    setReviewQueue(null);
+    setLesionIndex(index);
+
+    setLesionScores(restored.lesionScores);
+    setLesionPRL(restored.lesionPRL);
+    setLesionCoords(restored.lesionCoords);
+    setLesionExclusions(restored.lesionExclusions);
+    if (session.cvsCriteria?.minDiameterMm !== undefined) setMinCvsDiameterMm(session.cvsCriteria.minDiameterMm);
+    if (session.contrastSettings) setContrastSettings(prev => ({ ...prev, ...session.contrastSettings }));
+    if (session.layout) setLayout(normalizeLayout(session.layout));
+    // The rater name is not taken from the file: work saved from here on belongs to the current rater
+    setBlinded(!!session.blinded);
+    setSessionCreatedAt(session.createdAt || null);
+
+    // Refresh the current lesion view from the restored state
+    setVeinLikelihood(restored.lesionScores[index] || 0);
+    const current = match.lesions[index];
+    if (restored.lesionCoords[index]) setCoords(restored.lesionCoords[index]);
+    else if (match.diff && current) setCoords({ x: current.x, y: current.y, z: current.z });
+  };
+
+  const handleResume = () => {
+    const base = uneditedBase();
+    const match = matchSessionToBase(pendingResume.session, base, { subjectId, sessionLabel, sourceFiles, extraction });
+    if (match.errors.length > 0) {
+      // Keep the choice open: the autosave is only replaced once the rater starts fresh
+      alert("Cannot resume - the autosaved session does not match the loaded lesion mask:\n\n" + match.errors.join('\n'));
+      return;
+    }
+    setPendingResume(null);
+    lastRaterKeyRef.current = pendingResume.key;
+    applySession(pendingResume.session, lesionIndex, base, match);
+  };
+
+  const handleStartFresh = () => {
+    setPendingResume(null);
+    lastRaterKeyRef.current = pendingResume.key;
+    deleteAutosave(pendingResume.key).catch(e => console.warn("Could not clear autosave:", e));
+  };
+
+  // --- Dataset review queue ---
+  // Save the subject on screen now, to the rater key the autosave effect has already claimed
+  const flushAutosave = async () => {
+    if (!autosaveKey || pendingResume || lesions.length === 0 || lastRaterKeyRef.current !== raterKey) return;
+    await saveAutosave(raterKey, currentSession()).catch(e => console.warn("Autosave failed:", e));
+  };
+
+  const refreshDatasetSessions = async () => {
+    try {
+      setDatasetSessions(latestSessionsByEntry(await listAutosaves(), raterName));
+    } catch (e) {
+      console.warn("Could not read autosaved sessions:", e);
+    }
+  };
+
+  const openDatasetQueue = async () => {
+    // Include the latest changes of the subject on screen
+    await flushAutosave();
+    await refreshDatasetSessions();
+    setShowDataset(true);
+  };
+
+  // Load a scanned subject/session with the previous load options and resume its autosaved session
+  const loadDatasetSubject = async (entryId) => {
+    const entry = dataset?.[entryId];
+    if (!entry) return;
+
+    // Several matching files and no choice made in Load Data: the first (by path) would be used
+    const unresolved = unresolvedSlots(entry);
+    if (unresolved.length > 0) {
+      const used = unresolved.map(key => `${DATASET_FILE_LABELS[key]}: ${entry[key].webkitRelativePath || entry[key].name}`);
+      if (!window.confirm(`Several files match for ${entry.id}. These will be used:\n\n${used.join('\n')}\n\nContinue? (Choose other files in Load Data.)`)) return;
+    }
+
+    setShowDataset(false);
+
+    // Save the subject on screen first: replacing it cancels the pending autosave
+    await flushAutosave();
+
+    const keys = DATASET_FILE_KEYS.filter(key => entry[key]);
+    const options = { ...loadOptionsRef.current, synthesizeFlairStar: needsFlairStarSynthesis(entry), autoResume: true };
+    const refKey = options.synthesizeFlairStar ? 'flair' : 'flairStar';
+    try {
+      // No load dialog here, so check the grids the way it does
+      const grids = {};
+      for (const key of keys) grids[key] = await readNiftiHeaderFromFile(entry[key]);
+      if (!validateGrids(grids, refKey).ok && !options.resampleToReference) {
+        if (!window.confirm(`The files of ${entry.id} do not share the ${DATASET_FILE_LABELS[refKey]} grid. Resample them onto it?`)) return;
+        options.resampleToReference = true;
+      }
+
+      setLoading(`Reading ${entry.id}...`);
+      const buffers = {};
+      const metadata = {
+        subjectId: entry.subjectId,
+        sessionLabel: entry.sessionLabel,
+        fileNames: {},
+        filePaths: {},
+        flairStarPath: entry.flairStar ? (entry.flairStar.webkitRelativePath || entry.flairStar.name) : null,
+      };
+      const sidecarFiles = {};
+      for (const key of keys) {
+        buffers[key] = await readFileAsArrayBuffer(entry[key]);
+        metadata.fileNames[key] = entry[key].name;
+        metadata.filePaths[key] = entry[key].webkitRelativePath || entry[key].name;
+        sidecarFiles[key] = sidecarFor(entry, entry[key]);
+      }
+      metadata.sidecars = await readSidecars(sidecarFiles);
+      await handleDataLoad(buffers, metadata, options);
+    } catch (e) {
+      console.error(e);
+      alert(`Could not load ${entry.id}: ${e.message}`);
+      setLoading(false);
+    }
+  };
+
+  const loadNextSubject = () => {
+    if (!dataset) return;
+    const next = nextReadySubject(dataset, datasetEntryId(subjectId, sessionLabel));
+    if (!next) {
+      alert("No further subject in the dataset is ready to load.");
+      return;
+    }
+    loadDatasetSubject(next);
+  };
+
+  const exportDatasetSummary = () => {
+    if (Platform.OS !== 'web') {
+      alert("Notice: Dataset export is web-only for this demo.");
+      return;
+    }
+    const rows = buildDatasetRows(dataset, datasetSessions);
+    downloadFile(formatTable(rows, DATASET_SUMMARY_COLUMNS, '\t'), 'cvsview_dataset-summary.tsv', 'text/tab-separated-values');
+    downloadFile(JSON.stringify(buildColumnDictionary(DATASET_SUMMARY_COLUMNS, DATASET_TABLE_VERSION), null, 2), 'cvsview_dataset-summary.json', 'application/json');
+  };
+
   // --- Hoisted Stats Logic ---
-  const validLesionsCount = Object.values(lesionScores).filter(s => s >= 0.5).length;
+  const subjectLabel = [subjectId || 'unknown', sessionLabel].filter(Boolean).join('_'); // file name prefix
+  // CVS+ lesions among those not excluded by the NAIMS criteria
+  const cvsSummary = summarizeCvs({ lesions, lesionScores, lesionExclusions, lesionMetrics, minDiameterMm: minCvsDiameterMm });
+  const validLesionsCount = cvsSummary.positive;
   const prlLesionsCount = Object.values(lesionPRL).filter(p => p).length;
+  const addedLesionsCount = lesions.filter(l => l.added).length;
   const totalVolume = lesions.reduce((acc, l) => acc + (l.volume * pixDims[0] * pixDims[1] * pixDims[2]), 0) / 1000;
+  const cursorWorld = voxelToWorld(affine, coords.x, coords.y, coords.z);
+  const cursorFileVoxel = orientation ? displayToSourceVoxel([coords.x, coords.y, coords.z], orientation.srcDims, orientation.transform) : [coords.x, coords.y, coords.z];
+  // The fusion secondary is windowed with its own contrastSettings entry
+  const fusionSettings = useMemo(() => ({
+    ...fusion,
+    windowMin: contrastSettings[fusion.modality]?.min ?? 0,
+    windowMax: contrastSettings[fusion.modality]?.max ?? 1
+  }), [fusion, contrastSettings]);
   // ---------------------------
 
   const generateReport = async () => {
@@ -268,10 +1063,23 @@ export default function App() {
     // Generate Text Report Content
     const reportDate = new Date().toLocaleString();
 
+    // Source files with their sidecar acquisition fields (utils/bidsSidecar.js)
+    const acquisition = DATASET_FILE_KEYS.filter(key => fileMetadata.fileNames?.[key]).map(key => ({
+      label: DATASET_FILE_LABELS[key],
+      path: fileMetadata.filePaths?.[key] || fileMetadata.fileNames[key],
+      lines: fileMetadata.sidecars?.[key]?.fields ? describeSidecar(fileMetadata.sidecars[key].fields) : [],
+      error: fileMetadata.sidecars?.[key]?.error || null
+    }));
+    const escapeHtml = (str) => String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
     const textReportBody = [
       "CvsView Session Report",
       "======================",
       `Date: ${reportDate}`,
+      `Subject: ${subjectId || 'N/A'}`,
+      `Session: ${sessionLabel || 'N/A'}`,
+      `Rater: ${raterName || 'N/A'}`,
+      `Lesion Extraction: ${extraction ? describeExtraction(extraction) : 'N/A'}`,
       "",
       "Session Statistics",
       "------------------",
@@ -279,10 +1087,31 @@ export default function App() {
       `Total Vol (ml): ${totalVolume.toFixed(2)}`,
       `CVS+ Lesions: ${validLesionsCount}`,
       `PRL+ Lesions: ${prlLesionsCount}`,
+      `Rater-added Lesions: ${addedLesionsCount}`,
+      "",
+      "CVS Criteria (NAIMS)",
+      "--------------------",
+      `Automatic exclusion below ${minCvsDiameterMm} mm diameter`,
+      ...describeCvsSummary(cvsSummary),
       "",
       "File Information",
       "----------------",
-      `FLAIRSTAR Path: ${fileMetadata.flairStarPath || 'N/A'}`
+      `FLAIRSTAR Path: ${fileMetadata.flairStarPath || (fileMetadata.flairStarSynthesis ? describeFlairStarSynthesis(fileMetadata.flairStarSynthesis) : 'N/A')}`,
+      ...acquisition.flatMap(a => [
+        `${a.label}: ${a.path}`,
+        ...(a.error ? [`  Sidecar unreadable: ${a.error}`] : a.lines.map(line => `  ${line}`))
+      ]),
+      "",
+      "Lesion Metrics",
+      "--------------",
+      ...lesions.map((l, idx) => {
+        const m = lesionMetrics[idx];
+        const added = l.added ? ' (rater-added)' : '';
+        if (!m) return `Lesion ${idx + 1}${added}: ${l.volume} vox`;
+        const { reason } = exclusionOf(idx);
+        const excluded = reason ? `; excluded from CVS: ${exclusionLabel(reason)}` : '';
+        return `Lesion ${idx + 1}${added}: ${m.volumeMl.toFixed(3)} ml (${l.volume} vox); ${describeLesionMetrics(m).join('; ')}${excluded}`;
+      })
     ].join('\r\n');
 
     const textReportUri = `data:text/plain;charset=utf-8,${encodeURIComponent(textReportBody)}`;
@@ -350,6 +1179,7 @@ export default function App() {
             </div>
 
             <h1>CvsView Session Report</h1>
+            <div class="lesion-meta" style="margin: -16px 0 24px;">Subject: ${escapeHtml(subjectId || 'N/A')} &middot; Session: ${escapeHtml(sessionLabel || 'N/A')} &middot; Rater: ${escapeHtml(raterName || 'N/A')} &middot; ${reportDate}</div>
             
             <div class="stats-card">
               <div class="stats-grid">
@@ -357,9 +1187,23 @@ export default function App() {
                  <div class="stat-item"><span class="stat-label">Total Volume</span> <span class="stat-value">${totalVolume.toFixed(2)} ml</span></div>
                  <div class="stat-item"><span class="stat-label">CVS+ Lesions</span> <span class="stat-value">${validLesionsCount}</span></div>
                  <div class="stat-item"><span class="stat-label">PRL+ Lesions</span> <span class="stat-value">${prlLesionsCount}</span></div>
+                 <div class="stat-item"><span class="stat-label">Rater-added</span> <span class="stat-value">${addedLesionsCount}</span></div>
               </div>
+              <div class="lesion-meta">Lesion extraction: ${extraction ? describeExtraction(extraction) : 'N/A'}</div>
+              <div class="lesion-meta">CVS criteria (NAIMS, automatic exclusion below ${minCvsDiameterMm} mm):</div>
+              ${describeCvsSummary(cvsSummary).map(line => `<div class="lesion-meta">${line}</div>`).join('')}
             </div>
 
+            ${acquisition.length > 0 ? `
+            <h2>Acquisition</h2>
+            <div class="stats-card">
+              ${fileMetadata.flairStarSynthesis ? `<div class="lesion-meta" style="margin-bottom: 12px;">FLAIR* ${describeFlairStarSynthesis(fileMetadata.flairStarSynthesis)}</div>` : ''}
+              ${acquisition.map(a => `
+                <div class="stat-item"><span class="stat-label">${a.label}</span> <span class="stat-value" style="font-weight: 400; font-size: 12px;">${escapeHtml(a.path)}</span></div>
+                <div class="lesion-meta" style="margin-bottom: 12px;">${a.error ? `Sidecar unreadable: ${escapeHtml(a.error)}` : a.lines.length > 0 ? a.lines.map(escapeHtml).join(' &middot; ') : 'No JSON sidecar'}</div>
+              `).join('')}
+            </div>` : ''}
+
             <h2>Lesion Analysis</h2>
     `;
 
@@ -395,6 +1239,14 @@ export default function App() {
       const l = lesions[lesionIdx];
       const isCvs = (lesionScores[lesionIdx] || 0) > 0.5;
       const isPrl = !!lesionPRL[lesionIdx];
+      const m = lesionMetrics[lesionIdx];
+      const metricsHtml = {
+        volume: m ? `${m.volumeMl.toFixed(3)} ml (${l.volume} vox)` : `${l.volume} vox`,
+        details: m ? describeLesionMetrics(m).map(line => `<div class="lesion-meta">${line}</div>`).join('') : ''
+      };
+      const exclusionReason = exclusionOf(lesionIdx).reason;
+      if (exclusionReason) metricsHtml.details += `<div class="lesion-meta">Excluded from CVS: ${exclusionLabel(exclusionReason)}</div>`;
+      if (l.added) metricsHtml.details += `<div class="lesion-meta">Rater-added lesion (not in the original mask)</div>`;
 
       // Determine Render Tasks (CVS First!)
       const renderTasks = [];
@@ -425,9 +1277,14 @@ export default function App() {
             pixDims: pixDims,
             fovZoom: isZoomed ? topZoom : null,
             boxZoom: isFull ? topZoom : null,
-            showMask: false,
+            showMask: showMask,
             windowMin: task.min,
-            windowMax: task.max
+            windowMax: task.max,
+            colorMap: colorMaps[task.modality],
+            overlay: overlay,
+            currentLesionLabel: l.id,
+            fusion: fusionSettings,
+            colorBar: true
           });
         };
 
@@ -453,7 +1310,9 @@ export default function App() {
                 </div>
                 <div style="text-align: right;">
                     <div class="lesion-score">CVS Score: ${((lesionScores[lesionIdx] || 0) * 100).toFixed(0)}%</div>
-                    <div class="lesion-meta" style="margin-top:8px;">Vol: ${l.volume} vox | PRL: ${isPrl ? 'Yes' : 'No'}</div>
+                    <div class="lesion-meta" style="margin-top:8px;">Vol: ${metricsHtml.volume} | PRL: ${isPrl ? 'Yes' : 'No'}</div>
+                    <div class="lesion-meta">Centroid: (${voxelToWorld(affine, l.x, l.y, l.z).map(v => v.toFixed(1)).join(', ')}) mm</div>
+                    ${metricsHtml.details}
                 </div>
               </div>
               
@@ -541,6 +1400,10 @@ export default function App() {
           visible={showLoadModal}
           onClose={() => setShowLoadModal(false)}
           onLoadData={handleDataLoad}
+          initialExtraction={extraction}
+          onDatasetScanned={setDataset}
+          raterName={raterName}
+          onRaterNameChange={setRaterName}
         />
 
       </View>
@@ -552,8 +1415,40 @@ export default function App() {
       <View className="flex-1 bg-background items-center justify-center">
         <ActivityIndicator size="large" color="#3b82f6" />
         <Text className="text-white text-xl font-bold mt-4">
-          {typeof loading === 'string' ? loading : "Processing MRI Data..."}
+          {loadProgress ? loadProgress.message : typeof loading === 'string' ? loading : "Processing MRI Data..."}
         </Text>
+
+        {loadProgress && (
+          <View className="items-center mt-4">
+            <View className="w-80 h-2 bg-white/10 rounded-full overflow-hidden">
+              <View className="h-full bg-primary" style={{ width: `${Math.max(0, Math.min(100, loadProgress.percent || 0))}%` }} />
+            </View>
+            <View className="flex-row gap-2 mt-6">
+              <TouchableOpacity
+                onPress={cancelDataLoad}
+                className="bg-white/10 px-4 py-2 rounded-lg active:opacity-80"
+              >
+                <Text className="text-white font-bold">Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowLoadModal(true)}
+                className="bg-primary px-4 py-2 rounded-lg active:opacity-80"
+              >
+                <Text className="text-white font-bold">Load Different Subject</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <DataLoadModal
+          visible={showLoadModal}
+          onClose={() => setShowLoadModal(false)}
+          onLoadData={handleDataLoad}
+          initialExtraction={extraction}
+          onDatasetScanned={setDataset}
+          raterName={raterName}
+          onRaterNameChange={setRaterName}
+        />
       </View>
     );
   }
@@ -575,6 +1470,45 @@ export default function App() {
               <Text className="text-white font-bold">Load Data</Text>
             </TouchableOpacity>
 
+            {dataset && (
+              <>
+                <TouchableOpacity
+                  onPress={openDatasetQueue}
+                  className="bg-white/10 px-4 py-2 rounded-lg active:opacity-80"
+                >
+                  <Text className="text-white font-bold">Dataset ({Object.keys(dataset).length})</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={loadNextSubject}
+                  className="bg-white/10 px-4 py-2 rounded-lg active:opacity-80"
+                >
+                  <Text className="text-white font-bold">Next Subject</Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            <TouchableOpacity
+              onPress={exportSession}
+              className="bg-white/10 px-4 py-2 rounded-lg active:opacity-80"
+            >
+              <Text className="text-white font-bold">Save Session</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              onPress={() => sessionInputRef.current?.click()}
+              className="bg-white/10 px-4 py-2 rounded-lg active:opacity-80"
+            >
+              <Text className="text-white font-bold">Load Session</Text>
+            </TouchableOpacity>
+            <input type="file" ref={sessionInputRef} onChange={handleSessionFile} style={{ display: 'none' }} accept=".json,application/json" />
+
+            <TouchableOpacity
+              onPress={() => blinded ? alert("Rater comparison is disabled in blinded mode.") : setShowComparison(true)}
+              className={`bg-white/10 px-4 py-2 rounded-lg active:opacity-80 ${blinded ? 'opacity-50' : ''}`}
+            >
+              <Text className="text-white font-bold">Compare Raters</Text>
+            </TouchableOpacity>
+
             <TouchableOpacity
               onPress={generateReport}
               className="bg-primary px-4 py-2 rounded-lg active:opacity-80"
@@ -588,38 +1522,148 @@ export default function App() {
           visible={showLoadModal}
           onClose={() => setShowLoadModal(false)}
           onLoadData={handleDataLoad}
+          initialExtraction={extraction}
+          onDatasetScanned={setDataset}
+          raterName={raterName}
+          onRaterNameChange={setRaterName}
+        />
+
+        <DatasetQueue
+          visible={showDataset && !!dataset}
+          onClose={() => setShowDataset(false)}
+          subjects={dataset || {}}
+          sessionsByEntry={datasetSessions}
+          currentEntryId={datasetEntryId(subjectId, sessionLabel)}
+          raterName={raterName}
+          onLoadSubject={loadDatasetSubject}
+          onNextSubject={loadNextSubject}
+          onExportSummary={exportDatasetSummary}
+        />
+
+        <AcquisitionInfo
+          visible={showAcquisition}
+          onClose={() => setShowAcquisition(false)}
+          fileMetadata={fileMetadata}
+        />
+
+        <RaterComparison
+          visible={showComparison && !blinded}
+          onClose={() => setShowComparison(false)}
+          lesions={lesions}
+          subjectId={subjectId}
+          matchSession={matchRaterSession}
+          onJumpToLesion={(idx) => { setShowComparison(false); jumpToLesion(idx); }}
+          onStartReview={startConsensusReview}
         />
 
+        <LesionBrowser
+          visible={showBrowser}
+          onClose={() => setShowBrowser(false)}
+          lesions={lesions}
+          lesionMetrics={lesionMetrics}
+          lesionScores={lesionScores}
+          lesionPRL={lesionPRL}
+          pixDims={pixDims}
+          affine={affine}
+          currentIndex={lesionIndex}
+          activeFilters={lesionFilters}
+          onToggleFilter={toggleLesionFilter}
+          onSelectLesion={(idx) => { setShowBrowser(false); jumpToLesion(idx); }}
+        />
+
+        {pendingResume && (
+          <View className="absolute inset-0 z-40 flex items-center justify-center bg-black/80">
+            <View className="bg-[#1e1e1e] w-[480px] rounded-xl border border-white/20 p-6 gap-3">
+              <Text className="text-white text-xl font-bold">Previous rating found</Text>
+              <Text className="text-gray-300 text-sm">
+                An autosaved session exists for {subjectLabel} with the same files.
+              </Text>
+              <TouchableOpacity onPress={handleResume} className="bg-primary p-3 rounded active:opacity-80">
+                <Text className="text-white font-bold text-center">
+                  Resume previous rating ({pendingResume.progress.rated}/{pendingResume.progress.total} lesions rated, last edited {new Date(pendingResume.session.updatedAt).toLocaleString()})
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleStartFresh} className="bg-white/10 p-3 rounded active:opacity-80">
+                <Text className="text-white font-bold text-center">Start fresh</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         <View className="flex-1 flex-row">
-          {/* Main Viewer Area (2x3 Grid) */}
+          {/* Main Viewer Area (2x3 Grid, or modalities side by side) */}
           <View className="flex-1 flex-col p-2 gap-2">
-            {/* Top Row: Zoomed Views */}
-            <View className="flex-1 flex-row gap-2">
-              <SliceViewer label="Sagittal (Zoom)" axis="x" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
-                onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, x: val }))}
-              />
-              <SliceViewer label="Coronal (Zoom)" axis="y" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
-                onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, y: val }))}
-              />
-              <SliceViewer label="Axial (Zoom)" axis="z" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
-                onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, z: val }))}
-              />
-            </View>
+            {layout.id === 'standard' ? (
+              <>
+                {/* Top Row: Zoomed Views */}
+                <View className="flex-1 flex-row gap-2">
+                  <SliceViewer label="Sagittal (Zoom)" axis="x" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
+                    onClick={handleUpdateCoords} interactive onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps}
+                    onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, x: val }))}
+                  />
+                  <SliceViewer label="Coronal (Zoom)" axis="y" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
+                    onClick={handleUpdateCoords} interactive onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps}
+                    onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, y: val }))}
+                  />
+                  <SliceViewer label="Axial (Zoom)" axis="z" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={topZoom} windowMin={currentMin} windowMax={currentMax} modality={modality} showMask={showMask} cursor="none" fovZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id}
+                    onClick={handleUpdateCoords} interactive onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps}
+                    onSliceChange={(val) => handleUpdateCoords(prev => ({ ...prev, z: val }))}
+                  />
+                </View>
 
-            {/* Bottom Row: Full Views (Less Zoom) */}
-            <View className="flex-1 flex-row gap-2">
-              <View className="flex-1 flex-row gap-2">
-                <SliceViewer label="Sagittal" axis="x" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} />
-                <SliceViewer label="Coronal" axis="y" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} />
-                <SliceViewer label="Axial" axis="z" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} />
-              </View>
-            </View>
+                {/* Bottom Row: Full Views (Less Zoom) */}
+                <View className="flex-1 flex-row gap-2">
+                  <View className="flex-1 flex-row gap-2">
+                    <SliceViewer label="Sagittal" axis="x" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps} />
+                    <SliceViewer label="Coronal" axis="y" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps} />
+                    <SliceViewer label="Axial" axis="z" volumes={volumes} dims={dims} pixDims={pixDims} coords={coords} zoom={1} windowMin={currentMin} windowMax={currentMax} modality={modality} onClick={handleUpdateCoords} interactive showMask={showMask} cursor="box" boxZoom={topZoom} currentLesionLabel={lesions[lesionIndex]?.id} onZoom={handleZoomAt} onSelectLesion={selectLesionByLabel} describeLesion={describeLesionLabel} {...displayProps} {...editProps} />
+                  </View>
+                </View>
+              </>
+            ) : renderModalityViews()}
           </View>
 
           {/* Sidebar Controls - Scrollable */}
           <View className="w-80 bg-surface border-l border-white/10 h-full">
             <ScrollView className="flex-1 p-4" contentContainerStyle={{ gap: 24, paddingBottom: 20 }}>
 
+              <View>
+                <Text className="text-text-muted mb-2">Rater</Text>
+                <TextInput
+                  value={raterName}
+                  onChangeText={setRaterName}
+                  placeholder="Rater name / initials"
+                  placeholderTextColor="#71717a"
+                  className="bg-black/20 text-white p-2 rounded border border-white/10"
+                />
+                <View className="flex-row items-center justify-between mt-1">
+                  <Text className="text-xs text-text-muted">Subject: {subjectId || 'unknown'}{sessionLabel ? ` (${sessionLabel})` : ''}</Text>
+                  <TouchableOpacity onPress={() => setShowAcquisition(true)}>
+                    <Text className="text-blue-400 text-xs underline">Acquisition info</Text>
+                  </TouchableOpacity>
+                </View>
+                <TouchableOpacity
+                  onPress={() => setBlinded(b => !b)}
+                  className="flex-row items-center mt-2 p-2 bg-black/20 rounded"
+                >
+                  <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${blinded ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                    {blinded && <Text className="text-white text-xs font-bold">✓</Text>}
+                  </View>
+                  <Text className="text-white text-sm">Blinded rating</Text>
+                </TouchableOpacity>
+
+                {reviewQueue && (
+                  <View className="mt-2 p-2 rounded bg-yellow-500/10 border border-yellow-500/40">
+                    <Text className="text-yellow-400 text-sm font-bold">
+                      Consensus review: {reviewQueue.indexOf(lesionIndex) + 1 || '–'} / {reviewQueue.length} discordant
+                    </Text>
+                    <TouchableOpacity onPress={() => setReviewQueue(null)} className="mt-1">
+                      <Text className="text-blue-400 text-xs underline">Exit review (show all lesions)</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+
               <View>
                 <Text className="text-white text-xl font-bold mb-4">Controls</Text>
 
@@ -638,6 +1682,23 @@ export default function App() {
                   </View>
                 </View>
 
+                <TouchableOpacity
+                  onPress={() => setShowBrowser(true)}
+                  className="bg-white/10 h-10 rounded items-center justify-center active:bg-white/20 mb-2"
+                >
+                  <Text className="text-white text-xs font-bold">Lesion List</Text>
+                </TouchableOpacity>
+                {lesionFilters.length > 0 && (
+                  <View className="flex-row justify-between mb-2">
+                    <Text className="text-yellow-400 text-xs">
+                      Filtered: navigating {filteredLesionIndices().length} of {lesions.length} lesions
+                    </Text>
+                    <TouchableOpacity onPress={() => setLesionFilters([])}>
+                      <Text className="text-blue-400 text-xs underline">Clear</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
                 <View className="flex-row gap-2 mb-4 bg-black/20 p-2 rounded">
                   <TouchableOpacity onPress={() => setZoom(z => Math.max(0.2, z - 0.5))} className="bg-white/10 h-10 w-10 rounded items-center justify-center active:bg-white/20"><Text className="text-white font-bold text-lg">-</Text></TouchableOpacity>
                   <TouchableOpacity onPress={() => setZoom(z => Math.min(10, z + 0.5))} className="bg-white/10 h-10 w-10 rounded items-center justify-center active:bg-white/20"><Text className="text-white font-bold text-lg">+</Text></TouchableOpacity>
@@ -662,7 +1723,17 @@ export default function App() {
                     </Text>
                   </TouchableOpacity>
                 </View>
-                <Text className="text-xs text-text-muted">Vol: {lesions[lesionIndex]?.volume} vox</Text>
+                <LesionMetricsPanel
+                  lesion={lesions[lesionIndex]}
+                  metrics={lesionMetrics[lesionIndex]}
+                  onJumpToLesion={jumpToLesion}
+                />
+                <Text className="text-xs text-text-muted">Cursor: [{cursorFileVoxel.join(', ')}] vox | ({cursorWorld.map(v => v.toFixed(1)).join(', ')}) mm</Text>
+                {orientation && (
+                  <Text className="text-xs text-text-muted">
+                    Orientation: {orientation.sourceCodes} → RAS{orientation.obliqueDeg > 1 ? ` (oblique ${orientation.obliqueDeg.toFixed(1)}°)` : ''}
+                  </Text>
+                )}
               </View>
 
               <View>
@@ -680,6 +1751,37 @@ export default function App() {
                 </View>
               </View>
 
+              <View>
+                <Text className="text-text-muted mb-2">Layout</Text>
+                <View className="flex-row gap-1">
+                  {VIEW_LAYOUTS.map(l => (
+                    <TouchableOpacity
+                      key={l.id}
+                      onPress={() => setLayout(prev => ({ ...prev, id: l.id }))}
+                      className={`flex-1 py-2 rounded border items-center ${layout.id === l.id ? 'bg-primary border-primary' : 'bg-transparent border-white/20'}`}
+                    >
+                      <Text className="text-white text-xs font-bold">{l.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {layout.id !== 'standard' && (
+                  <>
+                    <View className="flex-row gap-1 mt-2">
+                      {LAYOUT_AXES.map(a => (
+                        <TouchableOpacity
+                          key={a.id}
+                          onPress={() => setLayout(prev => ({ ...prev, axis: a.id }))}
+                          className={`flex-1 py-1 rounded items-center ${layout.axis === a.id ? 'bg-primary' : 'bg-white/10'}`}
+                        >
+                          <Text className="text-white text-xs">{a.label}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <Text className="text-xs text-text-muted mt-1">Each view uses its modality's window; the window slider edits the selected modality.</Text>
+                  </>
+                )}
+              </View>
+
               <View>
                 <Text className="text-text-muted mb-2">Likelihood of Vein</Text>
                 <Text className="text-white text-2xl font-bold mb-2 text-center">{(veinLikelihood * 100).toFixed(0)}%</Text>
@@ -708,6 +1810,36 @@ export default function App() {
                   </View>
                   <Text className="text-white text-sm">PRL+ (Paramagnetic Rim)</Text>
                 </TouchableOpacity>
+
+                {lesions[lesionIndex] && (
+                  <CvsExclusionControl
+                    exclusion={exclusionOf(lesionIndex)}
+                    diameterMm={lesionDiameterMm(lesionMetrics[lesionIndex])}
+                    minDiameterMm={minCvsDiameterMm}
+                    onChangeReason={setExclusion}
+                    onChangeMinDiameter={setMinCvsDiameterMm}
+                  />
+                )}
+
+                {volumes.lesion && (
+                  <MaskEditPanel
+                    tool={editTool}
+                    onChangeTool={setEditTool}
+                    brushRadiusMm={brushRadiusMm}
+                    onChangeBrushRadius={setBrushRadiusMm}
+                    brushMode={brushMode}
+                    onChangeBrushMode={setBrushMode}
+                    growSettings={growSettings}
+                    onChangeGrowSettings={(changes) => setGrowSettings(prev => ({ ...prev, ...changes }))}
+                    undoName={editHistory.undo[editHistory.undo.length - 1]?.name}
+                    redoName={editHistory.redo[editHistory.redo.length - 1]?.name}
+                    onUndo={undoEdit}
+                    onRedo={redoEdit}
+                    onDeleteLesion={deleteCurrentLesion}
+                    onExport={exportEditedMask}
+                    edited={editHistory.undo.length > 0}
+                  />
+                )}
               </View>
 
               <View>
@@ -729,17 +1861,66 @@ export default function App() {
                       markerStyle={{ backgroundColor: '#ffffff', height: 20, width: 20 }}
                     />
                   </View>
+                  <DisplaySettings
+                    colorMap={colorMaps[modality]}
+                    onChangeColorMap={(id) => setColorMaps(prev => ({ ...prev, [modality]: id }))}
+                    windowMin={currentMin}
+                    windowMax={currentMax}
+                    overlay={overlay}
+                    onChangeOverlay={(changes) => setOverlay(prev => ({ ...prev, ...changes }))}
+                  />
+                </View>
+                <View className="mt-3">
+                  <FusionPanel
+                    fusion={fusion}
+                    onChange={(changes) => setFusion(prev => ({ ...prev, ...changes }))}
+                    modality={modality}
+                    loadedModalities={Object.keys(MODALITY_LABELS).filter(m => volumes[m])}
+                    secondaryWindow={contrastSettings[fusion.modality] || { min: 0, max: 1 }}
+                    onChangeSecondaryWindow={(changes) => setContrastSettings(prev => ({
+                      ...prev,
+                      [fusion.modality]: { ...prev[fusion.modality], ...changes }
+                    }))}
+                  />
                 </View>
               </View>
 
-              {/* Info Box */}
-              <View className="bg-black/30 p-4 rounded border border-white/10">
+              {/* Info Box (hidden while rating blinded) */}
+              {!blinded && <View className="bg-black/30 p-4 rounded border border-white/10">
                 <Text className="text-white font-bold text-xl mb-2">Session Stats</Text>
                 <View className="gap-1">
                   <Text className="text-white text-base">Total Lesions: <Text className="font-bold text-primary">{lesions.length}</Text></Text>
                   <Text className="text-white text-base">Total Volume: <Text className="font-bold text-primary">{totalVolume.toFixed(2)} ml</Text></Text>
                   <Text className="text-white text-base">Possible CVS+: <Text className="font-bold text-primary">{validLesionsCount}</Text></Text>
                   <Text className="text-white text-base">PRL+: <Text className="font-bold text-primary">{prlLesionsCount}</Text></Text>
+                  {addedLesionsCount > 0 && (
+                    <Text className="text-white text-base">Rater-added: <Text className="font-bold text-primary">{addedLesionsCount}</Text></Text>
+                  )}
+                  <Text className="text-white text-base">Excluded (NAIMS): <Text className="font-bold text-primary">{cvsSummary.excluded}</Text></Text>
+                  <Text className="text-white text-base">
+                    CVS Proportion: <Text className="font-bold text-primary">{cvsSummary.proportion === null ? 'n/a' : `${(cvsSummary.proportion * 100).toFixed(0)}%`}</Text>
+                    <Text className="text-text-muted text-xs"> ({cvsSummary.positive}/{cvsSummary.rated} rated eligible)</Text>
+                  </Text>
+                  <Text className="text-white text-base">40% Rule: <Text className={`font-bold ${cvsSummary.fortyPercent ? 'text-green-400' : 'text-text-muted'}`}>{cvsSummary.fortyPercent ? 'Met' : 'Not met'}</Text></Text>
+                  <Text className="text-white text-base">
+                    Select-3: <Text className={`font-bold ${cvsSummary.select3 ? 'text-green-400' : 'text-text-muted'}`}>{cvsSummary.select3 ? 'Met' : 'Not met'}</Text>
+                    {' | '}Select-6: <Text className={`font-bold ${cvsSummary.select6 ? 'text-green-400' : 'text-text-muted'}`}>{cvsSummary.select6 ? 'Met' : 'Not met'}</Text>
+                  </Text>
+                </View>
+              </View>}
+
+              <View>
+                <Text className="text-text-muted mb-2">Export Ratings</Text>
+                <View className="flex-row gap-2">
+                  <TouchableOpacity onPress={() => exportLesionTable(',')} className="flex-1 bg-white/10 h-10 rounded items-center justify-center active:bg-white/20">
+                    <Text className="text-white text-xs font-bold">CSV</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => exportLesionTable('\t')} className="flex-1 bg-white/10 h-10 rounded items-center justify-center active:bg-white/20">
+                    <Text className="text-white text-xs font-bold">TSV</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={exportLabelMap} className="flex-1 bg-white/10 h-10 rounded items-center justify-center active:bg-white/20">
+                    <Text className="text-white text-xs font-bold">Label NIfTI</Text>
+                  </TouchableOpacity>
                 </View>
               </View>
 
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { DATASET_FILE_KEYS, DATASET_FILE_LABELS } from '../utils/bidsDataset';
+import { describeSidecar } from '../utils/bidsSidecar';
+import { describeFlairStarSynthesis } from '../utils/flairStar';
+
+// Source files of the loaded subject with the acquisition metadata from their BIDS sidecars
+// (fileMetadata.sidecars, read in DataLoadModal / the dataset queue).
+export default function AcquisitionInfo({ visible, onClose, fileMetadata }) {
+    const [showAll, setShowAll] = useState(false);
+
+    if (!visible) return null;
+
+    const names = fileMetadata.fileNames || {};
+    const paths = fileMetadata.filePaths || {};
+    const sidecars = fileMetadata.sidecars || {};
+    const keys = DATASET_FILE_KEYS.filter(key => names[key] || paths[key]);
+
+    return (
+        <View className="absolute inset-0 z-50 flex items-center justify-center bg-black/80">
+            <View className="bg-[#1e1e1e] w-[640px] max-h-[90%] rounded-xl border border-white/20 shadow-2xl overflow-hidden flex-col">
+
+                {/* Header */}
+                <View className="p-4 border-b border-white/10 flex-row justify-between items-center bg-[#252525]">
+                    <Text className="text-white text-xl font-bold">Acquisition Info</Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Text className="text-gray-400 text-lg font-bold hover:text-white">✕</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView className="flex-1 p-4">
+                    {fileMetadata.flairStarSynthesis && (
+                        <View className="mb-4 p-3 rounded border bg-white/5 border-white/10">
+                            <Text className="text-white font-bold">FLAIRSTAR</Text>
+                            <Text className="text-gray-300 text-xs mt-1">No file: {describeFlairStarSynthesis(fileMetadata.flairStarSynthesis)}</Text>
+                        </View>
+                    )}
+                    {keys.map(key => {
+                        const sidecar = sidecars[key];
+                        const fields = sidecar?.fields;
+                        const lines = fields ? describeSidecar(fields) : [];
+                        return (
+                            <View key={key} className="mb-4 p-3 rounded border bg-white/5 border-white/10">
+                                <Text className="text-white font-bold">{DATASET_FILE_LABELS[key]}</Text>
+                                <Text className="text-gray-400 text-xs font-mono">{paths[key] || names[key]}</Text>
+                                {!sidecar && <Text className="text-gray-500 text-xs mt-1">No JSON sidecar</Text>}
+                                {sidecar?.error && <Text className="text-red-400 text-xs mt-1">{sidecar.name}: {sidecar.error}</Text>}
+                                {fields && (showAll
+                                    ? Object.keys(fields).map(k => (
+                                        <Text key={k} className="text-gray-300 text-xs mt-1" numberOfLines={2}>
+                                            {k}: {typeof fields[k] === 'object' ? JSON.stringify(fields[k]) : String(fields[k])}
+                                        </Text>
+                                    ))
+                                    : lines.map(line => <Text key={line} className="text-gray-300 text-xs mt-1">{line}</Text>)
+                                )}
+                                {fields && !showAll && lines.length === 0 && (
+                                    <Text className="text-gray-500 text-xs mt-1">No acquisition fields recognised in {sidecar.name}</Text>
+                                )}
+                            </View>
+                        );
+                    })}
+                    {keys.length === 0 && (
+                        <Text className="text-gray-500 text-sm text-center py-6">No file information for this subject.</Text>
+                    )}
+                </ScrollView>
+
+                {/* Footer */}
+                <View className="p-4 border-t border-white/10 bg-[#252525] flex-row justify-end gap-3">
+                    <TouchableOpacity onPress={() => setShowAll(a => !a)} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">{showAll ? 'Show Summary' : 'Show All Fields'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={onClose} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Close</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </View>
+    );
+}
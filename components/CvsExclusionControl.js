@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import { EXCLUSION_REASONS, exclusionLabel } from '../utils/cvsCriteria';
+
+const AUTO = '__auto';
+const INCLUDED = '__included';
+
+// NAIMS exclusion of the current lesion from CVS assessment (see utils/cvsCriteria.js).
+// onChangeReason(undefined) returns to the automatic flag, onChangeReason(null) includes the lesion.
+export default function CvsExclusionControl({ exclusion, diameterMm, minDiameterMm, onChangeReason, onChangeMinDiameter }) {
+    const value = exclusion.auto ? AUTO : exclusion.reason || INCLUDED;
+
+    const handleChange = (e) => {
+        const v = e.target.value;
+        if (v === AUTO) onChangeReason(undefined);
+        else if (v === INCLUDED) onChangeReason(null);
+        else onChangeReason(v);
+    };
+
+    return (
+        <View className="mt-3 p-2 bg-black/20 rounded">
+            <View className="flex-row items-center justify-between mb-1">
+                <Text className="text-white text-sm">CVS Eligibility</Text>
+                <select
+                    value={value}
+                    onChange={handleChange}
+                    style={{ background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2 }}
+                >
+                    <option value={AUTO}>Automatic</option>
+                    <option value={INCLUDED}>Included</option>
+                    {EXCLUSION_REASONS.map(r => (
+                        <option key={r.id} value={r.id}>Excluded: {r.label}</option>
+                    ))}
+                </select>
+            </View>
+
+            <Text className={`text-xs ${exclusion.reason ? 'text-yellow-400' : 'text-green-400'}`}>
+                {exclusion.reason
+                    ? `Excluded (${exclusionLabel(exclusion.reason)}${exclusion.auto ? ', automatic' : ''})`
+                    : 'Included in CVS assessment'}
+            </Text>
+
+            <View className="flex-row items-center mt-1">
+                <Text className="text-xs text-text-muted flex-1">
+                    Diameter {diameterMm === null ? '–' : diameterMm.toFixed(1)} mm | auto-exclude below
+                </Text>
+                <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={minDiameterMm}
+                    onChange={(e) => {
+                        const v = parseFloat(e.target.value);
+                        if (Number.isFinite(v) && v >= 0) onChangeMinDiameter(v);
+                    }}
+                    style={{ width: 48, background: 'rgba(0,0,0,0.3)', color: 'white', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, fontSize: 12, padding: 2 }}
+                />
+                <Text className="text-xs text-text-muted ml-1">mm</Text>
+            </View>
+        </View>
+    );
+}
@@ -1,9 +1,24 @@
-import React, { useState, useRef } from 'react';
-import { View, Text, TouchableOpacity, ScrollView, Platform, Image, Modal } from 'react-native';
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, Platform, Image, Modal, TextInput } from 'react-native';
+import { guessSubjectId, guessSessionId } from '../utils/session';
+import { DATASET_FILE_LABELS, scanBidsFiles, isSubjectReady, needsFlairStarSynthesis, unresolvedSlots, sidecarFor } from '../utils/bidsDataset';
+import { sidecarPathFor, readSidecars } from '../utils/bidsSidecar';
+import { loadMatchingRules, saveMatchingRules, RULE_PRESETS } from '../utils/matchingRules';
+import { readNiftiHeaderFromFile } from '../utils/niftiLoader';
+import { validateGrids } from '../utils/gridCheck';
+import { DEFAULT_EXTRACTION, CONNECTIVITY_OPTIONS } from '../utils/lesionAnalysis';
+import MatchingRulesEditor from './MatchingRulesEditor';
+
+// Minimum lesion size: whole voxels (the default, as in earlier versions) or mm³
+const MIN_SIZE_UNITS = [
+    { id: 'voxels', label: 'voxels' },
+    { id: 'mm3', label: 'mm³' },
+];
+
 // Note: We use standard HTML input elements for file picking in web
 // This component should be conditionally rendered only on Web or handling Platform.OS check internally
 
-export default function DataLoadModal({ visible, onClose, onLoadData }) {
+export default function DataLoadModal({ visible, onClose, onLoadData, initialExtraction, onDatasetScanned, raterName, onRaterNameChange }) {
     if (!visible) return null;
 
     // Selected files for loading
@@ -18,12 +33,41 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
     // Multi-subject state
     const [scannedSubjects, setScannedSubjects] = useState({}); // { subId: { files... } }
     const [selectedSubjectId, setSelectedSubjectId] = useState(null);
-    const [viewMode, setViewMode] = useState('initial'); // 'initial', 'subjectList', 'manual'
+    const [viewMode, setViewMode] = useState('initial'); // 'initial', 'subjectList', 'manual', 'rules'
+
+    // File matching rules (utils/matchingRules.js), saved in the browser; the scanned files
+    // are kept so edited rules can be tested and applied without selecting the folder again
+    const [rules, setRules] = useState(loadMatchingRules);
+    const [scannedFiles, setScannedFiles] = useState(null);
+
+    // JSON sidecars picked by hand (scanned folders find them next to each image)
+    const [manualSidecars, setManualSidecars] = useState([]);
+    const sidecarInputRef = useRef(null);
 
     const [loadingMsg, setLoadingMsg] = useState("");
     const [progress, setProgress] = useState(0);
     const [showHelp, setShowHelp] = useState(false);
 
+    // Grid validation against FLAIRSTAR (headers only)
+    const [gridReport, setGridReport] = useState(null); // { ok, entries: { key: { issues } } }
+    const [gridChecking, setGridChecking] = useState(false);
+    const [resampleMismatched, setResampleMismatched] = useState(false);
+
+    // FLAIR* synthesis from FLAIR and SWI when no FLAIRSTAR file is selected (utils/flairStar.js)
+    const [synthesis, setSynthesis] = useState({ enabled: true, biasCorrection: false });
+
+    // Lesion extraction settings (see utils/lesionAnalysis.js); numbers are kept as text while editing
+    const [extraction, setExtraction] = useState(() => {
+        const e = { ...DEFAULT_EXTRACTION, ...initialExtraction };
+        const inMm3 = e.minSizeMm3 !== null;
+        return {
+            ...e,
+            threshold: String(e.threshold),
+            minSizeUnit: inMm3 ? 'mm3' : 'voxels',
+            minSize: String(inMm3 ? e.minSizeMm3 : e.minSizeVoxels),
+        };
+    });
+
     // For manual file inputs
     const fileInputRefs = {
         flairStar: useRef(null),
@@ -36,6 +80,45 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
     // For BIDS directory input
     const directoryInputRef = useRef(null);
 
+    const canSynthesize = !files.flairStar && !!files.flair && !!files.swi;
+    const synthesizing = canSynthesize && synthesis.enabled;
+    // Grid every other volume is checked against: FLAIR when FLAIR* is synthesised from it
+    const referenceKey = synthesizing ? 'flair' : 'flairStar';
+
+    // Re-check grids whenever the selected files change
+    useEffect(() => {
+        setResampleMismatched(false);
+        if (!files[referenceKey]) {
+            setGridReport(null);
+            return;
+        }
+        let cancelled = false;
+        const check = async () => {
+            setGridChecking(true);
+            const grids = {};
+            const readErrors = {};
+            for (const key of Object.keys(DATASET_FILE_LABELS)) {
+                if (!files[key]) continue;
+                try {
+                    grids[key] = await readNiftiHeaderFromFile(files[key]);
+                } catch (e) {
+                    readErrors[key] = e.message;
+                }
+            }
+            if (cancelled) return;
+
+            const report = grids[referenceKey] ? validateGrids(grids, referenceKey) : { ok: false, entries: {} };
+            Object.keys(readErrors).forEach(key => {
+                report.entries[key] = { issues: [`Could not read header: ${readErrors[key]}`], readError: true };
+                report.ok = false;
+            });
+            setGridReport(report);
+            setGridChecking(false);
+        };
+        check();
+        return () => { cancelled = true; };
+    }, [files, referenceKey]);
+
     const handleFileChange = (type, event) => {
         const file = event.target.files[0];
         if (file) {
@@ -43,66 +126,33 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
         }
     };
 
+    const updateRules = (next) => {
+        setRules(next);
+        saveMatchingRules(next);
+    };
+
     const handleDirectoryScan = (event) => {
         const fileList = event.target.files;
         if (!fileList || fileList.length === 0) return;
+        const scanned = Array.from(fileList);
+        setScannedFiles(scanned);
+        scanFiles(scanned, rules);
+    };
 
+    // Group the scanned files into subjects/sessions with the current matching rules
+    const scanFiles = (fileList, matchingRules) => {
         setLoadingMsg("Scanning folder...");
 
-        const subjects = {}; // Map: sub-01 -> { files: {}, count: 0 }
-
-        for (let i = 0; i < fileList.length; i++) {
-            const file = fileList[i];
-            const name = file.name;
-            const path = file.webkitRelativePath || "";
-
-            // Extract Subject ID: looks for "sub-XXXX" in path
-            // Pattern: match "sub-[alphanumeric]"
-            const match = path.match(/(sub-[a-zA-Z0-9]+)/);
-            if (!match) continue; // Skip files not in a subject folder
-
-            const subId = match[1];
-
-            if (!subjects[subId]) {
-                subjects[subId] = {
-                    flairStar: null,
-                    lesion: null,
-                    swi: null,
-                    flair: null,
-                    phase: null,
-                    id: subId
-                };
-            }
-
-            const found = subjects[subId];
-
-            // 1. FLAIRSTAR
-            if (!found.flairStar && name.includes('FLAIRSTAR') && name.endsWith('.nii.gz')) {
-                found.flairStar = file;
-            }
-            // 2. Lesion Mask
-            else if (!found.lesion && name.includes('lesion_mask') && name.endsWith('.nii.gz')) {
-                found.lesion = file;
-            }
-            // 3. SWI
-            else if (!found.swi && name.includes('_swi.nii.gz') && !name.includes('phase') && !name.includes('mag')) {
-                found.swi = file;
-            }
-            // 4. Phase
-            else if (!found.phase && (name.includes('phase') || name.includes('part-phase')) && name.endsWith('.nii.gz')) {
-                found.phase = file;
-            }
-            // 5. FLAIR (space-swi)
-            else if (!found.flair && name.includes('FLAIR') && !name.includes('FLAIRSTAR') && name.includes('space-swi') && name.endsWith('.nii.gz')) {
-                found.flair = file;
-            }
-        }
+        const subjects = scanBidsFiles(fileList, matchingRules);
 
         const subjectKeys = Object.keys(subjects).sort();
         setScannedSubjects(subjects);
-        setLoadingMsg(`Scanned. Found ${subjectKeys.length} subjects.`);
+        const subjectCount = new Set(subjectKeys.map(k => subjects[k].subjectId)).size;
+        setLoadingMsg(`Scanned. Found ${subjectCount} subjects (${subjectKeys.length} subject/session entries).`);
 
         if (subjectKeys.length > 0) {
+            // App keeps the dataset for the review queue after this modal closes
+            if (onDatasetScanned) onDatasetScanned(subjects);
             setViewMode('subjectList');
         } else {
             alert("No BIDS subjects found in this folder. Make sure you selected the ROOT folder containing 'rawdata' and 'derivatives'.");
@@ -111,13 +161,36 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
     };
 
     const selectSubject = (subId) => {
-        const subFiles = scannedSubjects[subId];
-        setFiles(subFiles);
+        const entry = scannedSubjects[subId];
+        setFiles({
+            flairStar: entry.flairStar,
+            lesion: entry.lesion,
+            swi: entry.swi,
+            flair: entry.flair,
+            phase: entry.phase
+        });
         setSelectedSubjectId(subId);
         setViewMode('manual'); // Go to file confirmation/loading view (reusing manual view)
         setLoadingMsg(`Selected ${subId}`);
     };
 
+    // Pick one of several scanned files matching a slot; the dataset queue uses the same choice
+    const chooseCandidate = (key, file) => {
+        setFiles(prev => ({ ...prev, [key]: file }));
+        const entry = scannedSubjects[selectedSubjectId];
+        const updated = { ...scannedSubjects, [selectedSubjectId]: { ...entry, [key]: file, chosen: { ...entry.chosen, [key]: true } } };
+        setScannedSubjects(updated);
+        if (onDatasetScanned) onDatasetScanned(updated);
+    };
+
+    // Sidecar of the selected file of a slot: found by the folder scan, or picked by hand
+    const sidecarFileFor = (key) => {
+        const file = files[key];
+        if (!file) return null;
+        return sidecarFor(scannedSubjects[selectedSubjectId], file) ||
+            manualSidecars.find(j => j.name === sidecarPathFor(file.name)) || null;
+    };
+
     const handleLoadClick = async () => {
         // Stats
         let totalBytes = 0;
@@ -169,9 +242,25 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
         try {
             const buffers = {};
 
-            // Required: FLAIRSTAR and LESION
-            if (!files.flairStar || !files.lesion) {
-                alert("FLAIRSTAR and Lesion Mask are required!");
+            // Required: FLAIRSTAR (or FLAIR + SWI to synthesise it) and LESION
+            if ((!files.flairStar && !synthesizing) || !files.lesion) {
+                alert("FLAIRSTAR (or FLAIR and SWI with synthesis enabled) and Lesion Mask are required!");
+                setLoadingMsg("");
+                return;
+            }
+
+            // All volumes are indexed on the FLAIRSTAR (or FLAIR) grid (unless resampled onto it)
+            if (gridReport && !gridReport.ok && !resampleMismatched) {
+                alert(`Some files do not share the ${DATASET_FILE_LABELS[referenceKey]} grid. See the grid check report.`);
+                setLoadingMsg("");
+                return;
+            }
+
+            const threshold = parseFloat(extraction.threshold);
+            const minSize = parseFloat(extraction.minSize);
+            const inMm3 = extraction.minSizeUnit === 'mm3';
+            if (!Number.isFinite(threshold) || !Number.isFinite(minSize) || minSize < 0 || (!inMm3 && !Number.isInteger(minSize))) {
+                alert("Lesion extraction settings are invalid: threshold must be a number and minimum size at least 0 (whole voxels or mm³).");
                 setLoadingMsg("");
                 return;
             }
@@ -187,12 +276,39 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
             setProgress(100);
             await new Promise(resolve => setTimeout(resolve, 100)); // Allow UI paint
 
-            // Pass buffers back to App with status callback
-            await onLoadData(buffers, (msg) => {
-                setLoadingMsg(msg);
-                // Also force repaint via delay if needed, but App.js handles delays
+            // Describe the source files so the session can be tied to them
+            const entry = scannedSubjects[selectedSubjectId];
+            const reference = files[referenceKey];
+            const metadata = {
+                subjectId: entry?.subjectId || guessSubjectId(reference.name),
+                sessionLabel: entry?.sessionLabel || guessSessionId(reference.name),
+                fileNames: {},
+                filePaths: {},
+                flairStarPath: files.flairStar ? (files.flairStar.webkitRelativePath || files.flairStar.name) : null,
+            };
+            const sidecarFiles = {};
+            Object.keys(buffers).forEach(key => {
+                metadata.fileNames[key] = files[key].name;
+                metadata.filePaths[key] = files[key].webkitRelativePath || files[key].name;
+                sidecarFiles[key] = sidecarFileFor(key);
+            });
+            metadata.sidecars = await readSidecars(sidecarFiles); // acquisition metadata (utils/bidsSidecar.js)
+
+            // Hand the buffers to App; processing continues behind its progress screen,
+            // where a different subject can be loaded (cancelling this one)
+            onClose();
+            await onLoadData(buffers, metadata, {
+                resampleToReference: resampleMismatched,
+                synthesizeFlairStar: synthesizing,
+                biasCorrection: synthesizing && synthesis.biasCorrection,
+                extraction: {
+                    connectivity: extraction.connectivity,
+                    threshold,
+                    minSizeVoxels: inMm3 ? DEFAULT_EXTRACTION.minSizeVoxels : minSize,
+                    minSizeMm3: inMm3 ? minSize : null,
+                    useExistingLabels: extraction.useExistingLabels
+                }
             });
-            onClose(); // Close modal on success
 
         } catch (e) {
             console.error(e);
@@ -201,20 +317,170 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
         }
     };
 
-    const renderStatus = (file, label) => (
-        <View className="flex-row items-center justify-between bg-white/5 p-2 rounded mb-2 border border-white/10">
-            <View className="flex-1">
-                <Text className="text-white font-bold">{label}</Text>
-                <Text className="text-xs text-gray-400" numberOfLines={1}>
-                    {file ? file.name : "Not selected"}
+    const renderStatus = (file, label) => {
+        const key = labelToKey(label);
+        const candidates = selectedSubjectId ? scannedSubjects[selectedSubjectId]?.candidates?.[key] || [] : [];
+        return (
+            <View className="flex-row items-center justify-between bg-white/5 p-2 rounded mb-2 border border-white/10">
+                <View className="flex-1">
+                    <Text className="text-white font-bold">{label}</Text>
+                    <Text className="text-xs text-gray-400" numberOfLines={1}>
+                        {file ? file.name : "Not selected"}
+                    </Text>
+                    {file && sidecarFileFor(key) && (
+                        <Text className="text-xs text-gray-500" numberOfLines={1}>+ {sidecarFileFor(key).name}</Text>
+                    )}
+                    {candidates.length > 1 && (
+                        <View className="mt-1">
+                            <Text className="text-yellow-400 text-xs">⚠️ {candidates.length} files match this slot, choose one:</Text>
+                            <select
+                                value={Math.max(0, candidates.indexOf(file))}
+                                onChange={(e) => chooseCandidate(key, candidates[parseInt(e.target.value, 10)])}
+                                style={{ background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2, marginTop: 2 }}
+                            >
+                                {candidates.map((c, i) => <option key={i} value={i}>{c.webkitRelativePath || c.name}</option>)}
+                            </select>
+                        </View>
+                    )}
+                </View>
+                <TouchableOpacity
+                    onPress={() => fileInputRefs[key].current.click()}
+                    className={`ml-2 px-3 py-1 rounded ${file ? 'bg-green-500/20 border border-green-500' : 'bg-blue-500/20 border border-blue-500'}`}
+                >
+                    <Text className={file ? 'text-green-400' : 'text-blue-400'}>{file ? 'Change' : 'Select'}</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    };
+
+    const renderGridReport = () => {
+        if (gridChecking) {
+            return <Text className="text-gray-400 text-xs mt-2">Checking image grids...</Text>;
+        }
+        if (!gridReport) return null;
+
+        const canResample = !gridReport.ok && !!gridReport.entries &&
+            Object.values(gridReport.entries).every(e => !e.readError);
+
+        return (
+            <View className={`mt-2 p-3 rounded border ${gridReport.ok ? 'bg-green-500/10 border-green-500/30' : 'bg-red-500/10 border-red-500/30'}`}>
+                <Text className={`font-bold mb-1 ${gridReport.ok ? 'text-green-400' : 'text-red-400'}`}>
+                    {gridReport.ok ? `✅ All files share the ${DATASET_FILE_LABELS[referenceKey]} grid`
+                        : resampleMismatched ? '⚠️ Grid mismatch - files will be resampled' : '❌ Grid mismatch - loading blocked'}
                 </Text>
+                {Object.keys(gridReport.entries).map(key => {
+                    const { issues } = gridReport.entries[key];
+                    return (
+                        <View key={key} className="mb-1">
+                            <Text className="text-white text-xs">
+                                {issues.length === 0 ? '✅' : '❌'} {DATASET_FILE_LABELS[key]} ({files[key]?.name})
+                            </Text>
+                            {issues.map((issue, i) => (
+                                <Text key={i} className="text-red-300 text-xs ml-5">{issue}</Text>
+                            ))}
+                        </View>
+                    );
+                })}
+                {canResample && (
+                    <TouchableOpacity
+                        onPress={() => setResampleMismatched(r => !r)}
+                        className="flex-row items-center mt-2 p-2 bg-black/20 rounded"
+                    >
+                        <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${resampleMismatched ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                            {resampleMismatched && <Text className="text-white text-xs font-bold">✓</Text>}
+                        </View>
+                        <Text className="text-white text-xs">Resample mismatched files onto the {DATASET_FILE_LABELS[referenceKey]} grid (trilinear; nearest-neighbour for the mask)</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        );
+    };
+
+    // Only offered when FLAIRSTAR is missing but FLAIR and SWI are selected
+    const renderSynthesisSettings = () => {
+        if (!canSynthesize) return null;
+        return (
+            <View className="mt-2 p-3 rounded border bg-white/5 border-white/10">
+                <Text className="text-white font-bold mb-2">FLAIR* Synthesis</Text>
+                <TouchableOpacity
+                    onPress={() => setSynthesis(s => ({ ...s, enabled: !s.enabled }))}
+                    className="flex-row items-center mb-2"
+                >
+                    <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${synthesis.enabled ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                        {synthesis.enabled && <Text className="text-white text-xs font-bold">✓</Text>}
+                    </View>
+                    <Text className="text-white text-xs">Compute FLAIR* from FLAIR × SWI (each normalised to its brain mean)</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    onPress={() => setSynthesis(s => ({ ...s, biasCorrection: !s.biasCorrection }))}
+                    className={`flex-row items-center ${synthesis.enabled ? '' : 'opacity-40'}`}
+                    disabled={!synthesis.enabled}
+                >
+                    <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${synthesis.biasCorrection ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                        {synthesis.biasCorrection && <Text className="text-white text-xs font-bold">✓</Text>}
+                    </View>
+                    <Text className="text-white text-xs">Bias-field correction before normalising (slower)</Text>
+                </TouchableOpacity>
             </View>
+        );
+    };
+
+    const renderExtractionSettings = () => (
+        <View className="mt-2 p-3 rounded border bg-white/5 border-white/10">
+            <Text className="text-white font-bold mb-2">Lesion Extraction</Text>
+
             <TouchableOpacity
-                onPress={() => fileInputRefs[labelToKey(label)].current.click()}
-                className={`ml-2 px-3 py-1 rounded ${file ? 'bg-green-500/20 border border-green-500' : 'bg-blue-500/20 border border-blue-500'}`}
+                onPress={() => setExtraction(e => ({ ...e, useExistingLabels: !e.useExistingLabels }))}
+                className="flex-row items-center mb-2"
             >
-                <Text className={file ? 'text-green-400' : 'text-blue-400'}>{file ? 'Change' : 'Select'}</Text>
+                <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${extraction.useExistingLabels ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                    {extraction.useExistingLabels && <Text className="text-white text-xs font-bold">✓</Text>}
+                </View>
+                <Text className="text-white text-xs">Mask is already labelled (use each integer label as one lesion, no CCA)</Text>
             </TouchableOpacity>
+
+            <View className={`flex-row items-center mb-2 ${extraction.useExistingLabels ? 'opacity-40' : ''}`}>
+                <Text className="text-gray-300 text-xs w-32">Connectivity</Text>
+                {CONNECTIVITY_OPTIONS.map(c => (
+                    <TouchableOpacity
+                        key={c}
+                        disabled={extraction.useExistingLabels}
+                        onPress={() => setExtraction(e => ({ ...e, connectivity: c }))}
+                        className={`px-3 py-1 mr-1 rounded ${extraction.connectivity === c ? 'bg-primary' : 'bg-white/10'}`}
+                    >
+                        <Text className="text-white text-xs">{c}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            <View className={`flex-row items-center mb-2 ${extraction.useExistingLabels ? 'opacity-40' : ''}`}>
+                <Text className="text-gray-300 text-xs w-32">Threshold (&gt;)</Text>
+                <TextInput
+                    value={extraction.threshold}
+                    editable={!extraction.useExistingLabels}
+                    onChangeText={(t) => setExtraction(e => ({ ...e, threshold: t }))}
+                    className="bg-black/30 text-white text-xs px-2 py-1 rounded border border-white/10 w-20"
+                />
+                <Text className="text-gray-500 text-xs ml-2">probability cut-off for soft masks</Text>
+            </View>
+
+            <View className="flex-row items-center">
+                <Text className="text-gray-300 text-xs w-32">Minimum size (≥)</Text>
+                <TextInput
+                    value={extraction.minSize}
+                    onChangeText={(t) => setExtraction(e => ({ ...e, minSize: t }))}
+                    className="bg-black/30 text-white text-xs px-2 py-1 rounded border border-white/10 w-20 mr-2"
+                />
+                {MIN_SIZE_UNITS.map(u => (
+                    <TouchableOpacity
+                        key={u.id}
+                        onPress={() => setExtraction(e => ({ ...e, minSizeUnit: u.id }))}
+                        className={`px-3 py-1 mr-1 rounded ${extraction.minSizeUnit === u.id ? 'bg-primary' : 'bg-white/10'}`}
+                    >
+                        <Text className="text-white text-xs">{u.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
         </View>
     );
 
@@ -235,12 +501,16 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
                     <TouchableOpacity onPress={() => setViewMode('initial')} className="mr-2">
                         <Text className="text-blue-400">Back</Text>
                     </TouchableOpacity>
-                    <Text className="text-white font-bold ml-2">Found Subjects ({sortedIds.length})</Text>
+                    <Text className="text-white font-bold ml-2 flex-1">Found Subjects / Sessions ({sortedIds.length})</Text>
+                    <TouchableOpacity onPress={() => setViewMode('rules')}>
+                        <Text className="text-blue-400 underline text-xs">File Matching Rules</Text>
+                    </TouchableOpacity>
                 </View>
 
                 {sortedIds.map(subId => {
                     const s = scannedSubjects[subId];
-                    const isReady = s.flairStar && s.lesion;
+                    const isReady = isSubjectReady(s);
+                    const ambiguous = unresolvedSlots(s);
                     return (
                         <TouchableOpacity
                             key={subId}
@@ -248,10 +518,18 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
                             className={`flex-row justify-between items-center p-3 mb-2 rounded border ${isReady ? 'bg-green-500/10 border-green-500/30 active:bg-green-500/20' : 'bg-red-500/10 border-red-500/30 opacity-80'}`}
                         >
                             <View>
-                                <Text className="text-white font-bold text-lg">{subId}</Text>
+                                <Text className="text-white font-bold text-lg">
+                                    {s.subjectId}{s.sessionLabel ? <Text className="text-gray-300 font-normal"> · {s.sessionLabel}</Text> : null}
+                                </Text>
                                 <Text className="text-gray-400 text-xs">
-                                    {isReady ? '✅ Ready to Load' : '⚠️ Missing files (Check if visible)'}
+                                    {!isReady ? '⚠️ Missing files (Check if visible)'
+                                        : needsFlairStarSynthesis(s) ? '✅ Ready to Load (FLAIR* synthesised from FLAIR and SWI)' : '✅ Ready to Load'}
                                 </Text>
+                                {ambiguous.length > 0 && (
+                                    <Text className="text-yellow-400 text-xs">
+                                        ⚠️ Several {ambiguous.map(key => DATASET_FILE_LABELS[key]).join(', ')} files match; choose after selecting
+                                    </Text>
+                                )}
                             </View>
                             <Text className="text-gray-400 text-lg">›</Text>
                         </TouchableOpacity>
@@ -261,6 +539,8 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
         );
     };
 
+    const canLoad = (files.flairStar || synthesizing) && files.lesion && !gridChecking && !(gridReport && !gridReport.ok && !resampleMismatched);
+
     return (
         <View className="absolute inset-0 z-50 flex items-center justify-center bg-black/80">
             <View className="bg-[#1e1e1e] w-[600px] max-h-[90%] rounded-xl border border-white/20 shadow-2xl overflow-hidden flex-col">
@@ -277,6 +557,18 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
 
                     {viewMode === 'initial' && (
                         <>
+                            {/* Asked first: autosaved ratings are kept per rater */}
+                            <View className="mb-6">
+                                <Text className="text-gray-300 text-sm mb-2">Rater</Text>
+                                <TextInput
+                                    value={raterName}
+                                    onChangeText={onRaterNameChange}
+                                    placeholder="Rater name / initials"
+                                    placeholderTextColor="#71717a"
+                                    className="bg-black/30 text-white p-2 rounded border border-white/10"
+                                />
+                            </View>
+
                             {/* Section 1: Auto-BIDS */}
                             <View className="mb-8 p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg">
                                 <Text className="text-blue-400 font-bold mb-2">Option A: Auto-Scan BIDS Root Folder</Text>
@@ -304,6 +596,14 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
                                 >
                                     <Text className="text-blue-400 underline text-xs text-center">View Example Folder Structure</Text>
                                 </TouchableOpacity>
+                                <TouchableOpacity
+                                    onPress={() => setViewMode('rules')}
+                                    className="mt-2"
+                                >
+                                    <Text className="text-blue-400 underline text-xs text-center">
+                                        File Matching Rules ({RULE_PRESETS.find(p => p.id === rules.preset)?.label || 'Custom'})
+                                    </Text>
+                                </TouchableOpacity>
                             </View>
 
                             <Modal visible={showHelp} transparent animationType="fade">
@@ -341,6 +641,23 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
 
                     {viewMode === 'subjectList' && renderSubjectList()}
 
+                    {viewMode === 'rules' && (
+                        <View>
+                            <View className="flex-row items-center mb-4">
+                                <TouchableOpacity onPress={() => setViewMode(scannedFiles ? 'subjectList' : 'initial')} className="mr-2">
+                                    <Text className="text-blue-400">Back</Text>
+                                </TouchableOpacity>
+                                <Text className="text-white font-bold ml-2">File Matching Rules</Text>
+                            </View>
+                            <MatchingRulesEditor
+                                rules={rules}
+                                onChange={updateRules}
+                                files={scannedFiles}
+                                onRescan={() => scanFiles(scannedFiles, rules)}
+                            />
+                        </View>
+                    )}
+
                     {viewMode === 'manual' && (
                         <View>
                             <View className="flex-row items-center mb-4">
@@ -352,18 +669,38 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
                                 </Text>
                             </View>
 
-                            {renderStatus(files.flairStar, 'FLAIRSTAR (Required)')}
+                            {renderStatus(files.flairStar, canSynthesize ? 'FLAIRSTAR (or synthesise below)' : 'FLAIRSTAR (Required)')}
                             {renderStatus(files.lesion, 'Lesion Mask (Required)')}
                             {renderStatus(files.swi, 'SWI')}
                             {renderStatus(files.flair, 'FLAIR')}
                             {renderStatus(files.phase, 'Phase')}
 
+                            <View className="flex-row items-center justify-between bg-white/5 p-2 rounded mb-2 border border-white/10">
+                                <View className="flex-1">
+                                    <Text className="text-white font-bold">JSON Sidecars (optional)</Text>
+                                    <Text className="text-xs text-gray-400">
+                                        {manualSidecars.length > 0 ? `${manualSidecars.length} selected; matched to images by file name` : 'Acquisition metadata (EchoTime, field strength, ...)'}
+                                    </Text>
+                                </View>
+                                <TouchableOpacity
+                                    onPress={() => sidecarInputRef.current.click()}
+                                    className="ml-2 px-3 py-1 rounded bg-blue-500/20 border border-blue-500"
+                                >
+                                    <Text className="text-blue-400">Select</Text>
+                                </TouchableOpacity>
+                            </View>
+
+                            {renderSynthesisSettings()}
+                            {renderGridReport()}
+                            {renderExtractionSettings()}
+
                             {/* Hidden Inputs */}
                             <input type="file" ref={fileInputRefs.flairStar} onChange={(e) => handleFileChange('flairStar', e)} style={{ display: 'none' }} accept=".nii,.nii.gz" />
                             <input type="file" ref={fileInputRefs.lesion} onChange={(e) => handleFileChange('lesion', e)} style={{ display: 'none' }} accept=".nii,.nii.gz" />
                             <input type="file" ref={fileInputRefs.swi} onChange={(e) => handleFileChange('swi', e)} style={{ display: 'none' }} accept=".nii,.nii.gz" />
                             <input type="file" ref={fileInputRefs.flair} onChange={(e) => handleFileChange('flair', e)} style={{ display: 'none' }} accept=".nii,.nii.gz" />
                             <input type="file" ref={fileInputRefs.phase} onChange={(e) => handleFileChange('phase', e)} style={{ display: 'none' }} accept=".nii,.nii.gz" />
+                            <input type="file" ref={sidecarInputRef} onChange={(e) => setManualSidecars(Array.from(e.target.files || []))} style={{ display: 'none' }} accept=".json,application/json" multiple />
                         </View>
                     )}
 
@@ -390,8 +727,8 @@ export default function DataLoadModal({ visible, onClose, onLoadData }) {
                     {viewMode === 'manual' && (
                         <TouchableOpacity
                             onPress={handleLoadClick}
-                            className={`px-6 py-2 rounded ${(!files.flairStar || !files.lesion) ? 'bg-gray-600 opacity-50' : 'bg-green-600 active:bg-green-700'}`}
-                            disabled={!files.flairStar || !files.lesion}
+                            className={`px-6 py-2 rounded ${!canLoad ? 'bg-gray-600 opacity-50' : 'bg-green-600 active:bg-green-700'}`}
+                            disabled={!canLoad}
                         >
                             <Text className="text-white font-bold">Load Data</Text>
                         </TouchableOpacity>
@@ -0,0 +1,101 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { sessionProgress } from '../utils/session';
+import { DATASET_FILE_LABELS, isSubjectReady, needsFlairStarSynthesis, unresolvedSlots, reviewStatus, reviewStatusLabel, sessionCounts } from '../utils/bidsDataset';
+
+const STATUS_COLORS = {
+    notStarted: 'text-gray-400',
+    inProgress: 'text-yellow-400',
+    complete: 'text-green-400',
+};
+
+// Review queue over every subject/session of a scanned BIDS dataset. Progress comes from the
+// autosaved sessions (utils/sessionStore.js), so it is per browser and per rater.
+export default function DatasetQueue({
+    visible, onClose, subjects, sessionsByEntry, currentEntryId, raterName,
+    onLoadSubject, onNextSubject, onExportSummary
+}) {
+    if (!visible) return null;
+
+    const ids = Object.keys(subjects).sort();
+    const statuses = ids.map(id => reviewStatus(sessionsByEntry[id]));
+    const completeCount = statuses.filter(s => s === 'complete').length;
+
+    return (
+        <View className="absolute inset-0 z-50 flex items-center justify-center bg-black/80">
+            <View className="bg-[#1e1e1e] w-[720px] max-h-[90%] rounded-xl border border-white/20 shadow-2xl overflow-hidden flex-col">
+
+                {/* Header */}
+                <View className="p-4 border-b border-white/10 flex-row justify-between items-center bg-[#252525]">
+                    <Text className="text-white text-xl font-bold">Dataset Review ({completeCount} / {ids.length} complete)</Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Text className="text-gray-400 text-lg font-bold hover:text-white">✕</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <Text className="px-4 pt-3 text-gray-500 text-xs">
+                    Progress of {raterName ? `rater "${raterName}"` : 'all raters'} from the sessions autosaved in this browser.
+                </Text>
+
+                {/* Column headers */}
+                <View className="flex-row px-4 py-2 mt-2 border-b border-white/10">
+                    <Text className="flex-1 text-gray-400 text-xs font-bold">Subject</Text>
+                    <Text className="w-20 text-gray-400 text-xs font-bold">Session</Text>
+                    <Text className="w-24 text-gray-400 text-xs font-bold">Files</Text>
+                    <Text className="w-24 text-gray-400 text-xs font-bold">Status</Text>
+                    <Text className="w-16 text-gray-400 text-xs font-bold">Rated</Text>
+                    <Text className="w-14 text-gray-400 text-xs font-bold">CVS+</Text>
+                    <Text className="w-14 text-gray-400 text-xs font-bold">PRL+</Text>
+                    <View className="w-16" />
+                </View>
+
+                <ScrollView className="flex-1 px-4">
+                    {ids.map((id, k) => {
+                        const entry = subjects[id];
+                        const session = sessionsByEntry[id];
+                        const ready = isSubjectReady(entry);
+                        const ambiguous = unresolvedSlots(entry);
+                        const progress = session ? sessionProgress(session) : null;
+                        const counts = session ? sessionCounts(session) : null;
+                        return (
+                            <View key={id} className={`flex-row items-center py-2 border-b border-white/5 ${id === currentEntryId ? 'bg-primary/20' : ''}`}>
+                                <View className="flex-1">
+                                    <Text className="text-white text-xs font-mono">{entry.subjectId}</Text>
+                                    {ambiguous.length > 0 && (
+                                        <Text className="text-yellow-400 text-xs">⚠️ Several {ambiguous.map(key => DATASET_FILE_LABELS[key]).join(', ')} files; the first is used (choose in Load Data)</Text>
+                                    )}
+                                </View>
+                                <Text className="w-20 text-white text-xs font-mono">{entry.sessionLabel || '–'}</Text>
+                                <Text className={`w-24 text-xs ${ready ? 'text-green-400' : 'text-red-400'}`}>{!ready ? 'Missing files' : needsFlairStarSynthesis(entry) ? 'Ready (FLAIR*)' : 'Ready'}</Text>
+                                <Text className={`w-24 text-xs ${STATUS_COLORS[statuses[k]]}`}>{reviewStatusLabel(statuses[k])}</Text>
+                                <Text className="w-16 text-white text-xs">{progress ? `${progress.rated}/${progress.total}` : '–'}</Text>
+                                <Text className="w-14 text-white text-xs">{counts ? counts.cvsPositive : '–'}</Text>
+                                <Text className="w-14 text-white text-xs">{counts ? counts.prlPositive : '–'}</Text>
+                                <TouchableOpacity
+                                    disabled={!ready}
+                                    onPress={() => onLoadSubject(id)}
+                                    className={`w-16 py-1 rounded items-center ${ready ? 'bg-white/10 active:bg-white/20' : 'opacity-30'}`}
+                                >
+                                    <Text className="text-white text-xs">{id === currentEntryId ? 'Reload' : 'Load'}</Text>
+                                </TouchableOpacity>
+                            </View>
+                        );
+                    })}
+                </ScrollView>
+
+                {/* Footer */}
+                <View className="p-4 border-t border-white/10 bg-[#252525] flex-row justify-end gap-3">
+                    <TouchableOpacity onPress={onExportSummary} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Export Summary (TSV)</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={onNextSubject} className="px-4 py-2 rounded bg-primary">
+                        <Text className="text-white font-bold">Next Subject</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={onClose} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Close</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </View>
+    );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { COLOR_MAPS, OVERLAY_MODES, colorMapGradient, formatWindowValue } from '../utils/colorMaps';
+
+const selectStyle = { background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2 };
+const colorInputStyle = { width: 28, height: 20, padding: 0, border: 'none', background: 'transparent' };
+
+// Colour map of the current modality with its colour bar, and the lesion overlay style.
+// The same settings are used for the report images (utils/renderer.js).
+export default function DisplaySettings({ colorMap, onChangeColorMap, windowMin, windowMax, overlay, onChangeOverlay }) {
+    return (
+        <View className="mt-3">
+            <View className="flex-row items-center justify-between">
+                <Text className="text-text-muted text-xs">Colour Map</Text>
+                <select value={colorMap} onChange={(e) => onChangeColorMap(e.target.value)} style={selectStyle}>
+                    {COLOR_MAPS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+            </View>
+
+            {/* Colour bar over the window range */}
+            <div style={{ height: 10, marginTop: 6, borderRadius: 2, border: '1px solid rgba(255,255,255,0.3)', background: colorMapGradient(colorMap) }} />
+            <View className="flex-row justify-between">
+                <Text className="text-text-muted text-xs">{formatWindowValue(windowMin)}</Text>
+                <Text className="text-text-muted text-xs">{formatWindowValue(windowMax)}</Text>
+            </View>
+
+            <View className="flex-row items-center mt-3">
+                <Text className="text-text-muted text-xs mr-2">Overlay</Text>
+                {OVERLAY_MODES.map(m => (
+                    <TouchableOpacity
+                        key={m.id}
+                        onPress={() => onChangeOverlay({ mode: m.id })}
+                        className={`px-2 py-0.5 rounded mr-1 ${overlay.mode === m.id ? 'bg-primary' : 'bg-white/10'}`}
+                    >
+                        <Text className="text-white text-xs">{m.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {overlay.mode === 'filled' && (
+                <View className="flex-row items-center mt-2">
+                    <Text className="text-text-muted text-xs mr-2">Opacity</Text>
+                    <input
+                        type="range"
+                        min="0.05"
+                        max="1"
+                        step="0.05"
+                        value={overlay.opacity}
+                        onChange={(e) => onChangeOverlay({ opacity: parseFloat(e.target.value) })}
+                        style={{ flex: 1 }}
+                    />
+                    <Text className="text-text-muted text-xs ml-2">{Math.round(overlay.opacity * 100)}%</Text>
+                </View>
+            )}
+
+            {overlay.mode !== 'off' && (
+                <View className="flex-row items-center mt-2">
+                    <Text className="text-text-muted text-xs mr-1">Current</Text>
+                    <input type="color" value={overlay.currentColor} onChange={(e) => onChangeOverlay({ currentColor: e.target.value })} style={colorInputStyle} />
+                    <Text className="text-text-muted text-xs ml-3 mr-1">Others</Text>
+                    <input type="color" value={overlay.otherColor} onChange={(e) => onChangeOverlay({ otherColor: e.target.value })} style={colorInputStyle} />
+                </View>
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { COLOR_MAPS } from '../utils/colorMaps';
+import { MODALITY_LABELS } from '../utils/viewLayout';
+
+export const FUSION_MODES = [
+    { id: 'blend', label: 'Blend' },
+    { id: 'checkerboard', label: 'Checkerboard' },
+    { id: 'swipe', label: 'Swipe' },
+];
+
+export const DEFAULT_FUSION = {
+    enabled: false,
+    modality: 'phase',
+    colorMap: 'diverging',
+    opacity: 0.5,
+    mode: 'blend',
+    checkerSize: 8, // voxels
+    swipe: 0.5, // fraction of the view width
+};
+
+const selectStyle = { background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2 };
+const numberStyle = { width: 56, background: 'rgba(0,0,0,0.3)', color: 'white', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, fontSize: 12, padding: 2 };
+
+// Fusion of a second modality over the displayed one. The secondary's window is its own
+// entry in contrastSettings, edited here so the primary window is left alone.
+export default function FusionPanel({ fusion, onChange, modality, loadedModalities, secondaryWindow, onChangeSecondaryWindow }) {
+    const sameAsPrimary = fusion.modality === modality;
+
+    const numberInput = (value, key) => (
+        <input
+            type="number"
+            step="0.1"
+            value={value}
+            onChange={(e) => {
+                const v = parseFloat(e.target.value);
+                if (Number.isFinite(v)) onChangeSecondaryWindow({ [key]: v });
+            }}
+            style={numberStyle}
+        />
+    );
+
+    return (
+        <View className="p-2 bg-black/20 rounded">
+            <TouchableOpacity onPress={() => onChange({ enabled: !fusion.enabled })} className="flex-row items-center">
+                <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${fusion.enabled ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                    {fusion.enabled && <Text className="text-white text-xs font-bold">✓</Text>}
+                </View>
+                <Text className="text-white text-sm">Fusion overlay (F)</Text>
+            </TouchableOpacity>
+
+            {fusion.enabled && (
+                <View className="mt-2 gap-2">
+                    <View className="flex-row items-center justify-between">
+                        <Text className="text-text-muted text-xs">Overlay modality</Text>
+                        <select value={fusion.modality} onChange={(e) => onChange({ modality: e.target.value })} style={selectStyle}>
+                            {loadedModalities.map(m => <option key={m} value={m}>{MODALITY_LABELS[m]}</option>)}
+                        </select>
+                    </View>
+                    {sameAsPrimary && (
+                        <Text className="text-yellow-400 text-xs">Same as the displayed modality; select another one.</Text>
+                    )}
+
+                    <View className="flex-row items-center justify-between">
+                        <Text className="text-text-muted text-xs">Colour map</Text>
+                        <select value={fusion.colorMap} onChange={(e) => onChange({ colorMap: e.target.value })} style={selectStyle}>
+                            {COLOR_MAPS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                        </select>
+                    </View>
+
+                    <View className="flex-row items-center">
+                        <Text className="text-text-muted text-xs mr-1">Window</Text>
+                        {numberInput(secondaryWindow.min, 'min')}
+                        <Text className="text-text-muted text-xs mx-1">to</Text>
+                        {numberInput(secondaryWindow.max, 'max')}
+                    </View>
+
+                    <View className="flex-row gap-1">
+                        {FUSION_MODES.map(m => (
+                            <TouchableOpacity
+                                key={m.id}
+                                onPress={() => onChange({ mode: m.id })}
+                                className={`flex-1 py-1 rounded items-center ${fusion.mode === m.id ? 'bg-primary' : 'bg-white/10'}`}
+                            >
+                                <Text className="text-white text-xs">{m.label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {fusion.mode === 'blend' && (
+                        <View className="flex-row items-center">
+                            <Text className="text-text-muted text-xs mr-2">Opacity</Text>
+                            <input type="range" min="0" max="1" step="0.05" value={fusion.opacity}
+                                onChange={(e) => onChange({ opacity: parseFloat(e.target.value) })} style={{ flex: 1 }} />
+                            <Text className="text-text-muted text-xs ml-2">{Math.round(fusion.opacity * 100)}%</Text>
+                        </View>
+                    )}
+                    {fusion.mode === 'checkerboard' && (
+                        <View className="flex-row items-center">
+                            <Text className="text-text-muted text-xs mr-2">Square size</Text>
+                            <input type="range" min="2" max="32" step="1" value={fusion.checkerSize}
+                                onChange={(e) => onChange({ checkerSize: parseInt(e.target.value, 10) })} style={{ flex: 1 }} />
+                            <Text className="text-text-muted text-xs ml-2">{fusion.checkerSize} vox</Text>
+                        </View>
+                    )}
+                    {fusion.mode === 'swipe' && (
+                        <View className="flex-row items-center">
+                            <Text className="text-text-muted text-xs mr-2">Swipe</Text>
+                            <input type="range" min="0" max="1" step="0.01" value={fusion.swipe}
+                                onChange={(e) => onChange({ swipe: parseFloat(e.target.value) })} style={{ flex: 1 }} />
+                            <Text className="text-text-muted text-xs ml-2">{Math.round(fusion.swipe * 100)}%</Text>
+                        </View>
+                    )}
+                </View>
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { voxelToWorld } from '../utils/niftiLoader';
+import { LESION_FILTERS, filterLesionIndices, sortLesionIndices, isLesionRated } from '../utils/lesionFilter';
+
+const COLUMNS = [
+    { key: 'index', label: 'ID', width: 'w-12' },
+    { key: 'volume', label: 'Volume (ml)', width: 'w-24' },
+    { key: 'location', label: 'Location (mm)', width: 'flex-1' },
+    { key: 'cvs', label: 'CVS', width: 'w-14' },
+    { key: 'prl', label: 'PRL', width: 'w-12' },
+    { key: 'status', label: 'Status', width: 'w-20' },
+];
+
+// Table of all lesions with sorting and filtering. The filters live in App because
+// lesion navigation (ArrowLeft/ArrowRight) follows them too.
+export default function LesionBrowser({
+    visible, onClose, lesions, lesionMetrics, lesionScores, lesionPRL, pixDims, affine,
+    currentIndex, activeFilters, onToggleFilter, onSelectLesion
+}) {
+    const [sortKey, setSortKey] = useState('index');
+    const [ascending, setAscending] = useState(true);
+
+    if (!visible) return null;
+
+    const voxelMl = (pixDims[0] * pixDims[1] * pixDims[2]) / 1000;
+    const locations = lesions.map(l => voxelToWorld(affine, l.x, l.y, l.z));
+    const ctx = { lesions, lesionMetrics, lesionScores, lesionPRL, locations };
+    const rows = sortLesionIndices(filterLesionIndices(ctx, activeFilters), ctx, sortKey, ascending);
+
+    const handleSort = (key) => {
+        if (key === sortKey) {
+            setAscending(a => !a);
+        } else {
+            setSortKey(key);
+            setAscending(true);
+        }
+    };
+
+    return (
+        <View className="absolute inset-0 z-50 flex items-center justify-center bg-black/80">
+            <View className="bg-[#1e1e1e] w-[720px] max-h-[90%] rounded-xl border border-white/20 shadow-2xl overflow-hidden flex-col">
+
+                {/* Header */}
+                <View className="p-4 border-b border-white/10 flex-row justify-between items-center bg-[#252525]">
+                    <Text className="text-white text-xl font-bold">Lesions ({rows.length} / {lesions.length})</Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Text className="text-gray-400 text-lg font-bold hover:text-white">✕</Text>
+                    </TouchableOpacity>
+                </View>
+
+                {/* Filters */}
+                <View className="px-4 pt-4 flex-row flex-wrap gap-2">
+                    {LESION_FILTERS.map(f => {
+                        const active = activeFilters.includes(f.id);
+                        return (
+                            <TouchableOpacity
+                                key={f.id}
+                                onPress={() => onToggleFilter(f.id)}
+                                className={`px-3 py-1 rounded border ${active ? 'bg-primary border-primary' : 'bg-transparent border-white/20'}`}
+                            >
+                                <Text className="text-white text-xs font-bold">{f.label}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+                <Text className="px-4 pt-2 text-gray-500 text-xs">
+                    Arrow keys and the lesion buttons only step through lesions matching the active filters.
+                </Text>
+
+                {/* Column headers */}
+                <View className="flex-row px-4 py-2 mt-2 border-b border-white/10">
+                    {COLUMNS.map(c => (
+                        <TouchableOpacity key={c.key} onPress={() => handleSort(c.key)} className={c.width}>
+                            <Text className={`text-xs font-bold ${sortKey === c.key ? 'text-white' : 'text-gray-400'}`}>
+                                {c.label}{sortKey === c.key ? (ascending ? ' ▲' : ' ▼') : ''}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <ScrollView className="flex-1 px-4">
+                    {rows.map(idx => {
+                        const l = lesions[idx];
+                        const score = lesionScores[idx];
+                        const rated = isLesionRated(idx, lesionScores, lesionPRL);
+                        return (
+                            <TouchableOpacity
+                                key={idx}
+                                onPress={() => onSelectLesion(idx)}
+                                className={`flex-row py-2 border-b border-white/5 active:bg-white/10 ${idx === currentIndex ? 'bg-primary/20' : ''}`}
+                            >
+                                <Text className="w-12 text-white text-xs font-mono">{idx + 1}</Text>
+                                <Text className="w-24 text-white text-xs">{(lesionMetrics[idx]?.volumeMl ?? l.volume * voxelMl).toFixed(3)}</Text>
+                                <Text className="flex-1 text-gray-300 text-xs">({locations[idx].map(v => v.toFixed(1)).join(', ')})</Text>
+                                <Text className="w-14 text-white text-xs">{score === undefined || score === null ? '–' : `${(score * 100).toFixed(0)}%`}</Text>
+                                <Text className="w-12 text-white text-xs">{lesionPRL[idx] ? 'Yes' : '–'}</Text>
+                                <Text className={`w-20 text-xs ${rated ? 'text-green-400' : 'text-gray-500'}`}>{rated ? 'Rated' : 'Unrated'}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                    {rows.length === 0 && (
+                        <Text className="text-gray-500 text-sm text-center py-6">No lesions match the active filters.</Text>
+                    )}
+                </ScrollView>
+
+                {/* Footer */}
+                <View className="p-4 border-t border-white/10 bg-[#252525] flex-row justify-end gap-3">
+                    <TouchableOpacity onPress={onClose} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Close</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </View>
+    );
+}
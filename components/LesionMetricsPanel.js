@@ -0,0 +1,58 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { METRIC_MODALITIES } from '../utils/lesionMetrics';
+
+const fmt = (val, digits) => (val === null || val === undefined || Number.isNaN(val)) ? '–' : val.toFixed(digits);
+
+// Quantitative metrics of the current lesion (see utils/lesionMetrics.js)
+export default function LesionMetricsPanel({ lesion, metrics, onJumpToLesion }) {
+    if (!lesion) return null;
+    if (!metrics) {
+        return <Text className="text-xs text-text-muted">Vol: {lesion.volume} vox</Text>;
+    }
+
+    const [ex, ey, ez] = metrics.extentMm;
+    const modalities = METRIC_MODALITIES.filter(({ key }) => metrics.intensity[key]);
+
+    return (
+        <View className="bg-black/20 p-2 rounded mb-2">
+            <Text className="text-xs text-text-muted">Vol: {fmt(metrics.volumeMl, 3)} ml ({lesion.volume} vox)</Text>
+            <Text className="text-xs text-text-muted">Extent: {fmt(ex, 1)} (R-L) × {fmt(ey, 1)} (A-P) × {fmt(ez, 1)} (S-I) mm</Text>
+            <Text className="text-xs text-text-muted">
+                BBox: x {metrics.bboxMin[0]}–{metrics.bboxMax[0]}, y {metrics.bboxMin[1]}–{metrics.bboxMax[1]}, z {metrics.bboxMin[2]}–{metrics.bboxMax[2]}
+            </Text>
+            <Text className="text-xs text-text-muted">Sphericity: {fmt(metrics.sphericity, 2)} | Elongation: {fmt(metrics.elongation, 2)}</Text>
+            {metrics.nearestLesion !== null ? (
+                <TouchableOpacity onPress={() => onJumpToLesion(metrics.nearestLesion)}>
+                    <Text className="text-xs text-text-muted">
+                        Nearest: <Text className="text-blue-400 underline">Lesion {metrics.nearestLesion + 1}</Text> at {fmt(metrics.nearestDistanceMm, 1)} mm
+                    </Text>
+                </TouchableOpacity>
+            ) : (
+                <Text className="text-xs text-text-muted">Nearest: no other lesion</Text>
+            )}
+
+            {modalities.length > 0 && (
+                <View className="mt-1">
+                    <View className="flex-row">
+                        <Text className="text-xs text-text-muted flex-1"></Text>
+                        <Text className="text-xs text-text-muted w-12 text-right">Mean</Text>
+                        <Text className="text-xs text-text-muted w-12 text-right">Median</Text>
+                        <Text className="text-xs text-text-muted w-12 text-right">SD</Text>
+                    </View>
+                    {modalities.map(({ key, label }) => {
+                        const s = metrics.intensity[key];
+                        return (
+                            <View key={key} className="flex-row">
+                                <Text className="text-xs text-text-muted flex-1">{label}</Text>
+                                <Text className="text-xs text-white w-12 text-right">{fmt(s.mean, 2)}</Text>
+                                <Text className="text-xs text-white w-12 text-right">{fmt(s.median, 2)}</Text>
+                                <Text className="text-xs text-white w-12 text-right">{fmt(s.sd, 2)}</Text>
+                            </View>
+                        );
+                    })}
+                </View>
+            )}
+        </View>
+    );
+}
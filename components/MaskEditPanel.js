@@ -0,0 +1,146 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+
+export const EDIT_TOOLS = [
+    { id: 'navigate', label: 'Navigate', hint: 'Click to move the crosshair, drag to pan.' },
+    { id: 'paint', label: 'Paint', hint: 'Drag to add voxels to the current lesion (background only).' },
+    { id: 'erase', label: 'Erase', hint: 'Drag to clear voxels of any lesion.' },
+    { id: 'merge', label: 'Merge', hint: 'Click another lesion to merge it into the current one.' },
+    { id: 'split', label: 'Split', hint: 'Drag a cut line across the current lesion; it is extended through all slices.' },
+    { id: 'addGrow', label: 'Add (grow)', hint: 'Click inside a lesion the mask missed to grow a new lesion from that seed.' },
+    { id: 'addDraw', label: 'Add (draw)', hint: 'Draw a new lesion; the tool then switches to Paint to extend it on other slices.' },
+];
+
+const GROW_SOURCES = [
+    { id: 'flairStar', label: 'FLAIRSTAR' },
+    { id: 'flair', label: 'FLAIR' },
+];
+
+const inputStyle = { width: 48, background: 'rgba(0,0,0,0.3)', color: 'white', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, fontSize: 12, padding: 2 };
+
+// Sidebar controls for editing the lesion mask (see utils/maskEditing.js). The tool
+// state lives in App, which applies the edits reported by the slice views.
+export default function MaskEditPanel({
+    tool, onChangeTool, brushRadiusMm, onChangeBrushRadius, brushMode, onChangeBrushMode, growSettings, onChangeGrowSettings,
+    undoName, redoName, onUndo, onRedo, onDeleteLesion, onExport, edited
+}) {
+    const hint = EDIT_TOOLS.find(t => t.id === tool)?.hint;
+
+    return (
+        <View className="mt-4 p-2 bg-black/20 rounded">
+            <Text className="text-white text-sm font-bold mb-2">Mask Editing</Text>
+
+            <View className="flex-row flex-wrap gap-1">
+                {EDIT_TOOLS.map(t => (
+                    <TouchableOpacity
+                        key={t.id}
+                        onPress={() => onChangeTool(t.id)}
+                        className={`px-2 py-1 rounded border ${tool === t.id ? 'bg-primary border-primary' : 'bg-transparent border-white/20'}`}
+                    >
+                        <Text className="text-white text-xs font-bold">{t.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+            {hint && <Text className="text-xs text-text-muted mt-1">{hint}</Text>}
+
+            {(tool === 'paint' || tool === 'erase' || tool === 'addDraw') && (
+                <View className="flex-row items-center mt-2">
+                    <Text className="text-xs text-text-muted mr-1">Radius</Text>
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={brushRadiusMm}
+                        onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (Number.isFinite(v) && v >= 0) onChangeBrushRadius(v);
+                        }}
+                        style={inputStyle}
+                    />
+                    <Text className="text-xs text-text-muted ml-1 mr-3">mm</Text>
+                    {['2d', '3d'].map(m => (
+                        <TouchableOpacity
+                            key={m}
+                            onPress={() => onChangeBrushMode(m)}
+                            className={`px-2 py-0.5 rounded mr-1 ${brushMode === m ? 'bg-primary' : 'bg-white/10'}`}
+                        >
+                            <Text className="text-white text-xs">{m === '2d' ? '2D disc' : '3D sphere'}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+
+            {tool === 'addGrow' && (
+                <View className="mt-2">
+                    <View className="flex-row items-center">
+                        <Text className="text-xs text-text-muted mr-1">Grow on</Text>
+                        <select
+                            value={growSettings.source}
+                            onChange={(e) => onChangeGrowSettings({ source: e.target.value })}
+                            style={{ background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2 }}
+                        >
+                            {GROW_SOURCES.map(src => <option key={src.id} value={src.id}>{src.label}</option>)}
+                        </select>
+                    </View>
+                    <View className="flex-row items-center mt-1">
+                        <Text className="text-xs text-text-muted mr-1">Threshold (z)</Text>
+                        <input
+                            type="number"
+                            step="0.1"
+                            value={growSettings.threshold}
+                            onChange={(e) => {
+                                const v = parseFloat(e.target.value);
+                                if (Number.isFinite(v)) onChangeGrowSettings({ threshold: v });
+                            }}
+                            style={inputStyle}
+                        />
+                        <Text className="text-xs text-text-muted ml-3 mr-1">Max radius</Text>
+                        <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={growSettings.maxRadiusMm}
+                            onChange={(e) => {
+                                const v = parseFloat(e.target.value);
+                                if (Number.isFinite(v) && v > 0) onChangeGrowSettings({ maxRadiusMm: v });
+                            }}
+                            style={inputStyle}
+                        />
+                        <Text className="text-xs text-text-muted ml-1">mm</Text>
+                    </View>
+                </View>
+            )}
+
+            <View className="flex-row gap-2 mt-2">
+                <TouchableOpacity
+                    onPress={onUndo}
+                    disabled={!undoName}
+                    className={`flex-1 py-1 rounded items-center ${undoName ? 'bg-white/10' : 'bg-white/5'}`}
+                >
+                    <Text className={`text-xs ${undoName ? 'text-white' : 'text-gray-600'}`}>Undo{undoName ? ` ${undoName}` : ''}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    onPress={onRedo}
+                    disabled={!redoName}
+                    className={`flex-1 py-1 rounded items-center ${redoName ? 'bg-white/10' : 'bg-white/5'}`}
+                >
+                    <Text className={`text-xs ${redoName ? 'text-white' : 'text-gray-600'}`}>Redo{redoName ? ` ${redoName}` : ''}</Text>
+                </TouchableOpacity>
+            </View>
+
+            <View className="flex-row gap-2 mt-2">
+                <TouchableOpacity onPress={onDeleteLesion} className="flex-1 py-1 rounded items-center bg-red-600/30">
+                    <Text className="text-white text-xs">Delete Lesion</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={onExport} className="flex-1 py-1 rounded items-center bg-white/10">
+                    <Text className="text-white text-xs">Export Edited Mask</Text>
+                </TouchableOpacity>
+            </View>
+            {edited && (
+                <Text className="text-xs text-yellow-400 mt-1">
+                    Mask edited: saved sessions no longer match the original mask file.
+                </Text>
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { RULE_SLOTS, RULE_FIELDS, RULE_PRESETS, DEFAULT_MATCHING_RULES, isNiftiName, parseBidsName, matchFileSlot } from '../utils/matchingRules';
+import { DATASET_FILE_LABELS } from '../utils/bidsDataset';
+
+const MAX_TEST_ROWS = 200;
+
+const selectStyle = { background: '#1e1e1e', color: 'white', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12, padding: 2 };
+const inputStyle = { width: '100%', boxSizing: 'border-box', background: 'rgba(0,0,0,0.3)', color: 'white', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, fontSize: 12, padding: 2 };
+
+// Edit the BIDS entity rules that assign scanned files to modalities (utils/matchingRules.js)
+// and test them against a typed file name or the files of the last folder scan.
+export default function MatchingRulesEditor({ rules, onChange, files, onRescan }) {
+    const [testName, setTestName] = useState('');
+
+    const setField = (slot, field, value) => {
+        onChange({ ...rules, preset: null, slots: { ...rules.slots, [slot]: { ...rules.slots[slot], [field]: value } } });
+    };
+
+    const applyPreset = (id) => {
+        const preset = RULE_PRESETS.find(p => p.id === id);
+        if (preset) onChange({ preset: preset.id, legacyFallback: preset.legacyFallback, slots: preset.slots });
+    };
+
+    const niftiFiles = (files || []).filter(f => isNiftiName(f.name));
+    const results = niftiFiles.map(f => ({ path: f.webkitRelativePath || f.name, slot: matchFileSlot(f.name, rules) }));
+    const counts = {};
+    results.forEach(r => { counts[r.slot || 'none'] = (counts[r.slot || 'none'] || 0) + 1; });
+
+    const testParsed = testName ? parseBidsName(testName) : null;
+    const testSlot = testName ? matchFileSlot(testName, rules) : null;
+
+    return (
+        <View>
+            <View className="flex-row items-center justify-between mb-2">
+                <Text className="text-gray-300 text-xs">Preset</Text>
+                <select value={rules.preset || ''} onChange={(e) => applyPreset(e.target.value)} style={selectStyle}>
+                    {!rules.preset && <option value="">Custom</option>}
+                    {RULE_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+            </View>
+            <Text className="text-gray-500 text-xs mb-2">
+                Comma-separated values per entity; empty accepts anything, "none" accepts files without the entity. Rules are tried top to bottom and saved in this browser.
+            </Text>
+
+            {/* Rule table */}
+            <View className="flex-row mb-1">
+                <Text className="w-24 text-gray-400 text-xs font-bold">Slot</Text>
+                {RULE_FIELDS.map(f => <Text key={f} className="flex-1 text-gray-400 text-xs font-bold ml-1">{f}</Text>)}
+            </View>
+            {RULE_SLOTS.map(slot => (
+                <View key={slot} className="flex-row items-center mb-1">
+                    <Text className="w-24 text-white text-xs">{DATASET_FILE_LABELS[slot]}</Text>
+                    {RULE_FIELDS.map(f => (
+                        <View key={f} className="flex-1 ml-1">
+                            <input type="text" value={rules.slots[slot][f]} onChange={(e) => setField(slot, f, e.target.value)} style={inputStyle} />
+                        </View>
+                    ))}
+                </View>
+            ))}
+            <TouchableOpacity
+                onPress={() => onChange({ ...rules, preset: null, legacyFallback: !rules.legacyFallback })}
+                className="flex-row items-center mt-2"
+            >
+                <View className={`w-5 h-5 border-2 rounded mr-2 items-center justify-center ${rules.legacyFallback ? 'bg-primary border-primary' : 'border-white/40'}`}>
+                    {rules.legacyFallback && <Text className="text-white text-xs font-bold">✓</Text>}
+                </View>
+                <Text className="text-white text-xs">Fall back to the original name patterns (FLAIRSTAR, lesion_mask, _swi, phase, FLAIR + space-swi)</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onChange(DEFAULT_MATCHING_RULES)} className="mt-1">
+                <Text className="text-blue-400 underline text-xs">Reset to default</Text>
+            </TouchableOpacity>
+
+            {/* Single name test */}
+            <View className="mt-4 p-3 rounded border bg-white/5 border-white/10">
+                <Text className="text-white font-bold mb-2">Test a file name</Text>
+                <input type="text" value={testName} placeholder="sub-01_ses-01_part-mag_T2starw.nii" onChange={(e) => setTestName(e.target.value)} style={inputStyle} />
+                {testParsed && (
+                    <Text className="text-xs mt-2 text-gray-300">
+                        suffix: {testParsed.suffix || '–'}; {Object.keys(testParsed.entities).map(k => `${k}-${testParsed.entities[k]}`).join(', ') || 'no entities'}
+                        {' → '}
+                        <Text className={testSlot ? 'text-green-400' : 'text-red-400'}>
+                            {!isNiftiName(testName) ? 'not a .nii/.nii.gz file' : testSlot ? DATASET_FILE_LABELS[testSlot] : 'no match'}
+                        </Text>
+                    </Text>
+                )}
+            </View>
+
+            {/* Scanned files */}
+            {files && (
+                <View className="mt-4 p-3 rounded border bg-white/5 border-white/10">
+                    <View className="flex-row items-center justify-between mb-2">
+                        <Text className="text-white font-bold">Scanned files ({niftiFiles.length} NIfTI)</Text>
+                        <TouchableOpacity onPress={onRescan} className="bg-blue-600 px-3 py-1 rounded active:bg-blue-700">
+                            <Text className="text-white text-xs font-bold">Re-scan with these rules</Text>
+                        </TouchableOpacity>
+                    </View>
+                    <Text className="text-gray-300 text-xs mb-2">
+                        {RULE_SLOTS.map(slot => `${DATASET_FILE_LABELS[slot]}: ${counts[slot] || 0}`).join(' · ')} · Unmatched: {counts.none || 0}
+                    </Text>
+                    {results.slice(0, MAX_TEST_ROWS).map(r => (
+                        <View key={r.path} className="flex-row py-0.5 border-b border-white/5">
+                            <Text className="flex-1 text-gray-300 text-xs font-mono" numberOfLines={1}>{r.path}</Text>
+                            <Text className={`w-24 text-xs text-right ${r.slot ? 'text-green-400' : 'text-gray-500'}`}>{r.slot ? DATASET_FILE_LABELS[r.slot] : 'unmatched'}</Text>
+                        </View>
+                    ))}
+                    {results.length > MAX_TEST_ROWS && (
+                        <Text className="text-gray-500 text-xs mt-1">… {results.length - MAX_TEST_ROWS} more files</Text>
+                    )}
+                </View>
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,145 @@
+import React, { useState, useRef } from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { parseSession, sessionProgress } from '../utils/session';
+import { compareSessions } from '../utils/agreement';
+import { readFileAsText } from '../utils/download';
+
+// Loads several raters' session files for the loaded subject and reports agreement.
+// matchSession(session) matches a file against the loaded mask the way a session import does
+// (its own mask edits replayed) and returns { errors, warnings, excluded }.
+export default function RaterComparison({ visible, onClose, lesions, subjectId, matchSession, onJumpToLesion, onStartReview }) {
+    const [sessions, setSessions] = useState([]);
+    const [messages, setMessages] = useState([]);
+    const fileInputRef = useRef(null);
+
+    if (!visible) return null;
+
+    const handleFiles = async (event) => {
+        const fileList = Array.from(event.target.files || []);
+        event.target.value = '';
+
+        const loaded = [...sessions];
+        const notes = [];
+        for (const file of fileList) {
+            try {
+                const session = parseSession(await readFileAsText(file));
+                const { errors, warnings, excluded } = matchSession(session);
+                if (errors.length > 0) {
+                    notes.push(`${file.name}: skipped - ${errors.join(' ')}`);
+                    continue;
+                }
+                warnings.forEach(w => notes.push(`${file.name}: ${w}`));
+                loaded.push({ ...session, fileName: file.name, excluded });
+            } catch (e) {
+                notes.push(`${file.name}: ${e.message}`);
+            }
+        }
+        setSessions(loaded);
+        setMessages(notes);
+    };
+
+    const result = sessions.length >= 2 ? compareSessions(sessions) : null;
+    const fmtKappa = (k) => k === null ? 'n/a' : k.toFixed(2);
+    const fmtPct = (p) => p === null ? 'n/a' : `${p.toFixed(0)}%`;
+    // Discordant lesions are matched by label; the viewer's own edits may have removed one
+    const viewerIndex = (label) => lesions.findIndex(l => l.id === label);
+
+    return (
+        <View className="absolute inset-0 z-50 flex items-center justify-center bg-black/80">
+            <View className="bg-[#1e1e1e] w-[640px] max-h-[90%] rounded-xl border border-white/20 shadow-2xl overflow-hidden flex-col">
+
+                {/* Header */}
+                <View className="p-4 border-b border-white/10 flex-row justify-between items-center bg-[#252525]">
+                    <Text className="text-white text-xl font-bold">Compare Raters</Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Text className="text-gray-400 text-lg font-bold hover:text-white">✕</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView className="p-6 flex-1">
+                    <Text className="text-gray-300 text-sm mb-4">
+                        Load two or more session files rated on {subjectId || 'this subject'}. CVS+ uses a likelihood of 50% or more; CVS agreement only counts lesions scored by both raters and excluded by neither (NAIMS). Lesions are matched by label, each session with its own mask edits; rater-added lesions are not compared.
+                    </Text>
+
+                    <TouchableOpacity
+                        onPress={() => fileInputRef.current.click()}
+                        className="bg-blue-600 p-3 rounded items-center active:bg-blue-700 mb-4"
+                    >
+                        <Text className="text-white font-bold">Add Session Files</Text>
+                    </TouchableOpacity>
+                    <input type="file" ref={fileInputRef} multiple onChange={handleFiles} style={{ display: 'none' }} accept=".json,application/json" />
+
+                    {sessions.map((s, i) => {
+                        const { rated, total } = sessionProgress(s);
+                        return (
+                            <View key={`${s.fileName}-${i}`} className="flex-row justify-between bg-white/5 p-2 rounded mb-2 border border-white/10">
+                                <Text className="text-white font-bold">{s.rater || `Rater ${i + 1}`}</Text>
+                                <Text className="text-gray-400 text-xs">{s.fileName} ({rated}/{total} rated)</Text>
+                            </View>
+                        );
+                    })}
+
+                    {messages.map((m, i) => (
+                        <Text key={i} className="text-yellow-400 text-xs mb-1">⚠️ {m}</Text>
+                    ))}
+
+                    {result && (
+                        <View className="mt-4">
+                            <Text className="text-white font-bold mb-2">Pairwise Agreement</Text>
+                            {result.pairs.map((p, i) => (
+                                <View key={i} className="bg-black/30 p-3 rounded border border-white/10 mb-2">
+                                    <Text className="text-white font-bold mb-1">{p.a} vs {p.b}</Text>
+                                    <Text className="text-gray-300 text-sm">
+                                        CVS+: κ = {fmtKappa(p.cvs.kappa)}, agreement {fmtPct(p.cvs.agreement)} (n = {p.cvs.n}; {p.cvs.excluded} scored but excluded)
+                                    </Text>
+                                    <Text className="text-gray-300 text-sm">
+                                        PRL+: κ = {fmtKappa(p.prl.kappa)}, agreement {fmtPct(p.prl.agreement)} (n = {p.prl.n})
+                                    </Text>
+                                </View>
+                            ))}
+
+                            <View className="flex-row items-center justify-between mt-4 mb-2">
+                                <Text className="text-white font-bold">Discordant Lesions ({result.discordant.length})</Text>
+                                {result.discordant.length > 0 && (
+                                    <TouchableOpacity
+                                        onPress={() => onStartReview(result.discordant.map(d => viewerIndex(d.label)).filter(idx => idx >= 0))}
+                                        className="bg-primary px-3 py-1 rounded active:opacity-80"
+                                    >
+                                        <Text className="text-white font-bold text-xs">Start Consensus Review</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                            {result.discordant.map(d => {
+                                const idx = viewerIndex(d.label);
+                                return (
+                                    <TouchableOpacity
+                                        key={d.label}
+                                        disabled={idx < 0}
+                                        onPress={() => onJumpToLesion(idx)}
+                                        className="flex-row justify-between bg-white/5 p-2 rounded mb-1 active:bg-white/10"
+                                    >
+                                        <Text className="text-white font-mono">{idx >= 0 ? `Lesion ${idx + 1}` : `Label ${d.label} (removed here)`}</Text>
+                                        <Text className="text-gray-400 text-xs">
+                                            {d.cvsDisagree ? 'CVS ' : ''}{d.prlDisagree ? 'PRL ' : ''}{d.exclusionDisagree ? 'Excl ' : ''}|{' '}
+                                            {d.scores.map((sc, i) => d.excluded[i] ? 'excl' : sc === null ? '–' : `${(sc * 100).toFixed(0)}%`).join(' / ')}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    )}
+                </ScrollView>
+
+                {/* Footer */}
+                <View className="p-4 border-t border-white/10 bg-[#252525] flex-row justify-end gap-3">
+                    <TouchableOpacity onPress={() => { setSessions([]); setMessages([]); }} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Clear</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={onClose} className="px-4 py-2 rounded bg-white/10">
+                        <Text className="text-white">Close</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </View>
+    );
+}
@@ -1,12 +1,35 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { View, Text, TouchableOpacity } from 'react-native';
 import Slider from '@react-native-community/slider';
+import { viewOrientationLabels } from '../utils/orientation';
+import { paintSlice, resolveFusion } from '../utils/renderer';
+import { DEFAULT_OVERLAY } from '../utils/colorMaps';
 
 export default function SliceViewer({
     label, axis, volumes, dims, pixDims, coords, zoom, windowMin, windowMax, modality, onClick, interactive, showMask, cursor = 'crosshair', fovZoom, boxZoom, currentLesionLabel,
-    onSliceChange // New prop for scrolling
+    colorMap = 'gray', overlay = DEFAULT_OVERLAY, // display settings (utils/colorMaps.js)
+    fusion, // second modality blended over this one (see paintSlice in utils/renderer.js)
+    onSliceChange, // New prop for scrolling
+    onZoom, // (factor, anchorCoords) for ctrl+wheel zoom
+    onSelectLesion, // (label) when a lesion outline other than the current one is clicked
+    describeLesion, // (label) -> { title, lines } for the hover tooltip, or null
+    editTool = 'navigate', // mask editing tool (components/MaskEditPanel.js)
+    onBrush, // (phase: 'start' | 'move' | 'end', voxelCoords or null, axis) for the brush tools
+    onAddSeed, // (voxelCoords) clicked with the region-growing "Add lesion" tool
+    onMergeLabel, // (label) clicked with the merge tool
+    onSplitLine // ({ axis, p0, p1 }) cut line drawn with the split tool, in-plane { h, v } positions
 }) {
     const canvasRef = useRef(null);
+    // Region of the slice drawn on the canvas, needed to map pointer positions back to voxels
+    const viewRef = useRef(null);
+    const dragRef = useRef(null);
+    const wheelZoomRef = useRef(null);
+    const [hover, setHover] = useState(null); // { label, x, y } (client coordinates)
+    const [cutLine, setCutLine] = useState(null); // split tool line { x0, y0, x1, y1 } (client coordinates)
+    const editing = editTool !== 'navigate' && interactive;
+
+    // Volumes are in the RAS display frame, so edge directions are fixed per axis
+    const orientationLabels = viewOrientationLabels(axis);
 
     // Get current slice number based on axis
     const sliceNum = axis === 'x' ? coords.x : axis === 'y' ? coords.y : coords.z;
@@ -108,90 +131,33 @@ export default function SliceViewer({
 
         canvas.width = renderWidth;
         canvas.height = renderHeight;
+        viewRef.current = { startI, startJ, renderWidth, renderHeight, fullWidth, fullHeight };
 
         // Reset transform for proper rendering
         canvasRef.current.style.transformOrigin = '50% 50%';
         canvasRef.current.style.transform = `scale(1, ${pixelAspectRatio})`;
 
         const imgData = ctx.createImageData(renderWidth, renderHeight);
-        const data = imgData.data;
-        const volData = volumes[modality];
-        const lesionData = volumes.lesion;
-
-        const wMin = windowMin !== undefined ? windowMin : 0;
-        const wMax = windowMax !== undefined ? windowMax : 1000;
-        const range = wMax - wMin || 1;
-
-        // Track labels and colors for debugging
-        const labelsFound = new Set();
-        let greenCount = 0;
-        let blueCount = 0;
-
-        for (let j = 0; j < renderHeight; j++) {
-            for (let i = 0; i < renderWidth; i++) {
-                const sourceI = startI + i;
-                const sourceJ = startJ + j;
-                const jFlip = fullHeight - 1 - sourceJ;
-                const idx = getVal(sourceI, jFlip);
-                const val = volData[idx];
-
-                // Window/Level
-                let pixelVal = ((val - wMin) / range) * 255;
-                if (pixelVal < 0) pixelVal = 0;
-                if (pixelVal > 255) pixelVal = 255;
-
-                const pxIdx = (j * renderWidth + i) * 4;
-
-                data[pxIdx] = pixelVal;
-                data[pxIdx + 1] = pixelVal;
-                data[pxIdx + 2] = pixelVal;
-                data[pxIdx + 3] = 255;
-
-                if (showMask && lesionData && lesionData[idx] > 0.5) {
-                    const currentLabel = Math.round(lesionData[idx]);
-                    labelsFound.add(currentLabel);
-
-                    let isEdge = false;
-
-                    if (sourceI === 0 || sourceI === fullWidth - 1 || jFlip === 0 || jFlip === fullHeight - 1) {
-                        isEdge = true;
-                    } else {
-                        // Check if neighbors have the SAME label
-                        const n1 = Math.round(lesionData[getVal(sourceI + 1, jFlip)]) === currentLabel;
-                        const n2 = Math.round(lesionData[getVal(sourceI - 1, jFlip)]) === currentLabel;
-                        const n3 = Math.round(lesionData[getVal(sourceI, jFlip + 1)]) === currentLabel;
-                        const n4 = Math.round(lesionData[getVal(sourceI, jFlip - 1)]) === currentLabel;
-                        if (!n1 || !n2 || !n3 || !n4) isEdge = true;
-                    }
-
-                    if (isEdge) {
-                        // Check if this pixel belongs to the current lesion
-                        const lesionLabel = currentLabel;
-                        const isCurrentLesion = currentLesionLabel && lesionLabel === currentLesionLabel;
-
-                        // Green (#00ff00) for current lesion, Blue (#60a5fa) for others
-                        if (isCurrentLesion) {
-                            data[pxIdx] = 0;
-                            data[pxIdx + 1] = 255;
-                            data[pxIdx + 2] = 0;
-                            greenCount++;
-                        } else {
-                            data[pxIdx] = 96;   // #60a5fa
-                            data[pxIdx + 1] = 165;
-                            data[pxIdx + 2] = 250;
-                            blueCount++;
-                        }
-                        data[pxIdx + 3] = 255;
-                    }
-                }
-            }
-        }
-
+        const fused = resolveFusion(fusion, volumes, modality);
+        paintSlice(imgData.data, viewRef.current, {
+            volData: volumes[modality],
+            lesionData: showMask ? volumes.lesion : null,
+            getVal,
+            windowMin: windowMin !== undefined ? windowMin : 0,
+            windowMax: windowMax !== undefined ? windowMax : 1000,
+            colorMap,
+            overlay,
+            currentLesionLabel,
+            fusion: fused
+        });
         ctx.putImageData(imgData, 0, 0);
 
-        // Log summary
-        if (labelsFound.size > 0) {
-            console.log(`[${axis}] Labels in view: [${Array.from(labelsFound).sort().join(', ')}], Current: ${currentLesionLabel}, Green pixels: ${greenCount}, Blue pixels: ${blueCount}`);
+        if (fused && fused.mode === 'swipe') {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(fused.swipe * renderWidth, 0); ctx.lineTo(fused.swipe * renderWidth, renderHeight);
+            ctx.stroke();
         }
 
         // Draw Cursor (only on bottom row)
@@ -199,8 +165,9 @@ export default function SliceViewer({
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 1;
             ctx.beginPath();
-            ctx.moveTo(0, cy); ctx.lineTo(renderWidth, cy);
-            ctx.moveTo(cx, 0); ctx.lineTo(cx, renderHeight);
+            // Relative to the rendered region (zoomed views start inside the slice)
+            ctx.moveTo(0, cy - startJ); ctx.lineTo(renderWidth, cy - startJ);
+            ctx.moveTo(cx - startI, 0); ctx.lineTo(cx - startI, renderHeight);
             ctx.stroke();
         } else if (cursor === 'box' && boxZoom) {
             ctx.strokeStyle = '#ffffff';
@@ -218,15 +185,207 @@ export default function SliceViewer({
             ctx.strokeRect(cx - halfW, cy - halfH, boxW, boxH);
         }
 
-    }, [volumes, dims, pixDims, coords, zoom, windowMin, windowMax, modality, axis, showMask, cursor, fovZoom, boxZoom, pixelAspectRatio, dimX, dimY, dimZ, currentLesionLabel]);
+    }, [volumes, dims, pixDims, coords, zoom, windowMin, windowMax, modality, axis, showMask, cursor, fovZoom, boxZoom, pixelAspectRatio, dimX, dimY, dimZ, currentLesionLabel, colorMap, overlay, fusion]);
 
-    const handlePress = (evt) => {
-        if (!interactive || !onClick) return;
-        // Interaction logic placeholder
+    // In-plane image position (horizontal h, vertical v with up = increasing index) -> volume coords
+    const planeToCoords = (h, v) => {
+        if (axis === 'x') return { y: h, z: v };
+        if (axis === 'y') return { x: h, z: v };
+        return { x: h, y: v };
     };
 
+    const coordsToPlane = (c) => {
+        if (axis === 'x') return [c.y, c.z];
+        if (axis === 'y') return [c.x, c.z];
+        return [c.x, c.y];
+    };
+
+    // Pointer position -> fractional in-plane image position, undoing the object-fit
+    // letterboxing, the pixelAspectRatio scale, the FOV offset and the vertical flip
+    const clientToPlane = (clientX, clientY) => {
+        const canvas = canvasRef.current;
+        const view = viewRef.current;
+        if (!canvas || !view) return null;
+
+        const rect = canvas.getBoundingClientRect(); // includes the CSS scale
+        const W = canvas.clientWidth;
+        const H = canvas.clientHeight;
+        const scale = Math.min(W / view.renderWidth, H / view.renderHeight);
+        if (!scale) return null;
+
+        const lx = clientX - (rect.left + rect.width / 2);
+        const ly = (clientY - (rect.top + rect.height / 2)) / pixelAspectRatio;
+        const i = lx / scale + view.renderWidth / 2;
+        const j = ly / scale + view.renderHeight / 2;
+
+        return {
+            h: view.startI + i,
+            v: view.fullHeight - 1 - (view.startJ + j),
+            scale,
+            fullWidth: view.fullWidth,
+            fullHeight: view.fullHeight,
+        };
+    };
+
+    const clampPlane = (p, h, v) => [
+        Math.max(0, Math.min(p.fullWidth - 1, Math.round(h))),
+        Math.max(0, Math.min(p.fullHeight - 1, Math.round(v)))
+    ];
+
+    const moveTo = (clientX, clientY) => {
+        const p = clientToPlane(clientX, clientY);
+        if (!p) return;
+        const [h, v] = clampPlane(p, Math.floor(p.h), Math.ceil(p.v));
+        onClick(prev => ({ ...prev, ...planeToCoords(h, v) }));
+    };
+
+    // Voxel under the pointer in this slice, or null outside the image
+    const voxelAt = (clientX, clientY) => {
+        const p = clientToPlane(clientX, clientY);
+        if (!p) return null;
+        const h = Math.floor(p.h);
+        const v = Math.ceil(p.v);
+        if (h < 0 || h >= p.fullWidth || v < 0 || v >= p.fullHeight) return null;
+        return { ...coords, ...planeToCoords(h, v) };
+    };
+
+    // Lesion label under the pointer, only while the mask overlay is shown
+    const labelAt = (clientX, clientY) => {
+        if (!showMask || !volumes.lesion) return 0;
+        const c = voxelAt(clientX, clientY);
+        if (!c) return 0;
+        return Math.round(volumes.lesion[c.x + c.y * dimX + c.z * dimX * dimY]) || 0;
+    };
+
+    // Editing tools replace click/drag navigation while active
+    const brushTool = editTool === 'paint' || editTool === 'erase' || editTool === 'addDraw';
+
+    const editPointerDown = (e) => {
+        if (brushTool) {
+            dragRef.current = { edit: true };
+            if (onBrush) onBrush('start', voxelAt(e.clientX, e.clientY), axis);
+        } else if (editTool === 'split') {
+            dragRef.current = { edit: true, p0: clientToPlane(e.clientX, e.clientY) };
+            setCutLine({ x0: e.clientX, y0: e.clientY, x1: e.clientX, y1: e.clientY });
+        } else {
+            dragRef.current = { edit: true };
+        }
+    };
+
+    const editPointerMove = (e) => {
+        if (brushTool) {
+            const c = voxelAt(e.clientX, e.clientY);
+            if (c && onBrush) onBrush('move', c, axis);
+        } else if (editTool === 'split') {
+            setCutLine(line => line && { ...line, x1: e.clientX, y1: e.clientY });
+        }
+    };
+
+    const editPointerUp = (e, drag) => {
+        if (brushTool) {
+            if (onBrush) onBrush('end');
+        } else if (editTool === 'split') {
+            setCutLine(null);
+            const p1 = clientToPlane(e.clientX, e.clientY);
+            if (drag.p0 && p1 && onSplitLine) {
+                onSplitLine({ axis, p0: { h: drag.p0.h, v: drag.p0.v }, p1: { h: p1.h, v: p1.v } });
+            }
+        } else if (editTool === 'merge') {
+            const label = labelAt(e.clientX, e.clientY);
+            if (label > 0 && label !== currentLesionLabel && onMergeLabel) onMergeLabel(label);
+        } else if (editTool === 'addGrow') {
+            const c = voxelAt(e.clientX, e.clientY);
+            if (c && onAddSeed) onAddSeed(c);
+        }
+    };
+
+    // Click sets the other two coordinates (or selects the clicked lesion); dragging pans
+    // the zoomed FOV (top row) or drags the crosshair (full views)
+    const handlePointerDown = (e) => {
+        if (!interactive || !onClick || e.button !== 0) return;
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        if (editing) {
+            setHover(null);
+            editPointerDown(e);
+            return;
+        }
+        dragRef.current = { x: e.clientX, y: e.clientY, start: coordsToPlane(coords), moved: false };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (drag?.edit) {
+            editPointerMove(e);
+            return;
+        }
+        if (!drag || !drag.moved) {
+            const label = describeLesion ? labelAt(e.clientX, e.clientY) : 0;
+            setHover(label > 0 ? { label, x: e.clientX, y: e.clientY } : null);
+        }
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+        drag.moved = true;
+        setHover(null);
+
+        if (!fovZoom) {
+            moveTo(e.clientX, e.clientY);
+            return;
+        }
+        const p = clientToPlane(e.clientX, e.clientY);
+        if (!p) return;
+        // Content follows the pointer: the FOV centre moves the opposite way (rows are flipped)
+        const [h, v] = clampPlane(p,
+            drag.start[0] - dx / p.scale,
+            drag.start[1] + dy / (p.scale * pixelAspectRatio));
+        onClick(prev => ({ ...prev, ...planeToCoords(h, v) }));
+    };
+
+    const handlePointerUp = (e) => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (drag?.edit) {
+            editPointerUp(e, drag);
+            return;
+        }
+        if (!drag || drag.moved) return;
+
+        const label = onSelectLesion ? labelAt(e.clientX, e.clientY) : 0;
+        if (label > 0 && label !== currentLesionLabel) {
+            onSelectLesion(label);
+        } else {
+            moveTo(e.clientX, e.clientY);
+        }
+    };
+
+    const hoverInfo = hover && describeLesion ? describeLesion(hover.label) : null;
+
+    // ctrl+wheel zooms around the pointer (zoomed views) or the crosshair (full views)
+    wheelZoomRef.current = (e) => {
+        if (!e.ctrlKey || !onZoom) return;
+        e.preventDefault();
+        const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+        let anchor = null;
+        if (fovZoom) {
+            const p = clientToPlane(e.clientX, e.clientY);
+            if (p) anchor = { ...coords, ...planeToCoords(...clampPlane(p, p.h, p.v)) };
+        }
+        onZoom(factor, anchor);
+    };
+
+    // Native listener: React's wheel handlers are passive and cannot stop the browser zoom
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const listener = (e) => wheelZoomRef.current(e);
+        canvas.addEventListener('wheel', listener, { passive: false });
+        return () => canvas.removeEventListener('wheel', listener);
+    }, []);
+
     // Scroll handler (Web)
     const handleWheel = (e) => {
+        if (e.ctrlKey) return; // zoom, handled on the canvas
         if (!onSliceChange || maxSlice <= 1) return;
 
         // e.deltaY > 0 means scrolling down -> next slice
@@ -246,18 +405,52 @@ export default function SliceViewer({
         >
             <View className="flex-1 relative">
                 <Text className="absolute top-1 left-1 text-white bg-black/50 px-1 text-xs z-10">{label} (Slice {sliceNum})</Text>
+
+                {/* Orientation letters */}
+                <Text className="absolute left-1 top-1/2 text-yellow-300 text-xs font-bold z-10">{orientationLabels.left}</Text>
+                <Text className="absolute right-1 top-1/2 text-yellow-300 text-xs font-bold z-10">{orientationLabels.right}</Text>
+                <Text className="absolute top-5 left-1/2 text-yellow-300 text-xs font-bold z-10">{orientationLabels.top}</Text>
+                <Text className="absolute bottom-1 left-1/2 text-yellow-300 text-xs font-bold z-10">{orientationLabels.bottom}</Text>
                 <View className="flex-1 items-center justify-center">
                     <canvas
                         ref={canvasRef}
                         data-scale-y={pixelAspectRatio}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={() => {
+                            if (dragRef.current?.edit && onBrush) onBrush('end');
+                            dragRef.current = null;
+                            setCutLine(null);
+                        }}
+                        onPointerLeave={() => setHover(null)}
                         style={{
                             width: '100%',
                             height: '100%',
                             objectFit: 'contain',
                             imageRendering: 'pixelated',
+                            cursor: editing ? (editTool === 'merge' ? 'copy' : 'cell') : hover ? 'pointer' : interactive ? (fovZoom ? 'grab' : 'crosshair') : 'default',
+                            touchAction: 'none',
                         }}
                     />
                 </View>
+
+                {cutLine && (
+                    <svg style={{ position: 'fixed', left: 0, top: 0, width: '100vw', height: '100vh', zIndex: 100, pointerEvents: 'none' }}>
+                        <line x1={cutLine.x0} y1={cutLine.y0} x2={cutLine.x1} y2={cutLine.y1} stroke="#f87171" strokeWidth={2} strokeDasharray="4 3" />
+                    </svg>
+                )}
+
+                {hoverInfo && (
+                    <div style={{
+                        position: 'fixed', left: hover.x + 12, top: hover.y + 12, zIndex: 100, pointerEvents: 'none',
+                        background: 'rgba(0,0,0,0.85)', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4,
+                        padding: '4px 6px', color: 'white', fontSize: 11, whiteSpace: 'nowrap'
+                    }}>
+                        <div style={{ fontWeight: 700 }}>{hoverInfo.title}</div>
+                        {hoverInfo.lines.map((line, i) => <div key={i}>{line}</div>)}
+                    </div>
+                )}
             </View>
 
             {onSliceChange && (
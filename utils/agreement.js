@@ -0,0 +1,113 @@
+// Inter-rater agreement on CVS+ and PRL+ between rating sessions of the same subject
+import { CVS_THRESHOLD } from './labelMap';
+
+// Cohen's kappa for two equally long arrays of booleans
+export const cohensKappa = (a, b) => {
+    const n = a.length;
+    if (n === 0) return null;
+
+    let agree = 0;
+    let posA = 0;
+    let posB = 0;
+    for (let i = 0; i < n; i++) {
+        if (a[i] === b[i]) agree++;
+        if (a[i]) posA++;
+        if (b[i]) posB++;
+    }
+
+    const po = agree / n;
+    const pe = (posA / n) * (posB / n) + (1 - posA / n) * (1 - posB / n);
+    if (pe === 1) return po === 1 ? 1 : 0; // both raters constant: kappa undefined, report perfect/none
+    return (po - pe) / (1 - pe);
+};
+
+export const percentAgreement = (a, b) => {
+    if (a.length === 0) return null;
+    let agree = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) agree++;
+    }
+    return (agree / a.length) * 100;
+};
+
+// Per-lesion calls of one session by lesion label (sessions may carry different mask edits):
+// cvs is null while the lesion has no score; excluded marks lesions the session excludes from
+// CVS assessment (session.excluded, by lesion index). Rater-added lesions are left out, as
+// two raters' added lesions can share a label.
+const sessionCalls = (session) => {
+    const calls = new Map();
+    session.lesions.forEach((s, idx) => {
+        if (s.addedByRater) return;
+        calls.set(s.label, {
+            score: s.score ?? null,
+            cvs: (s.score === null || s.score === undefined) ? null : s.score >= CVS_THRESHOLD,
+            prl: !!s.prl,
+            excluded: !!session.excluded?.[idx],
+        });
+    });
+    return calls;
+};
+
+const pairStats = (callsA, callsB, key) => {
+    const a = [];
+    const b = [];
+    let excluded = 0;
+    callsA.forEach((c, label) => {
+        const other = callsB.get(label);
+        if (!other) return;
+        // CVS is only compared where both raters scored the lesion and neither excluded it (NAIMS)
+        if (c[key] === null || other[key] === null) return;
+        if (key === 'cvs' && (c.excluded || other.excluded)) {
+            excluded++;
+            return;
+        }
+        a.push(c[key]);
+        b.push(other[key]);
+    });
+    return { n: a.length, excluded, kappa: cohensKappa(a, b), agreement: percentAgreement(a, b) };
+};
+
+// Compare two or more sessions of the same subject, lesions matched by label.
+// Returns pairwise statistics and the list of lesions (by label) where raters disagree.
+export const compareSessions = (sessions) => {
+    const calls = sessions.map(sessionCalls);
+    const raters = sessions.map((s, i) => s.rater || `Rater ${i + 1}`);
+
+    const pairs = [];
+    for (let i = 0; i < sessions.length; i++) {
+        for (let j = i + 1; j < sessions.length; j++) {
+            pairs.push({
+                a: raters[i],
+                b: raters[j],
+                cvs: pairStats(calls[i], calls[j], 'cvs'),
+                prl: pairStats(calls[i], calls[j], 'prl'),
+            });
+        }
+    }
+
+    // Lesions every session has, in the order of the first
+    const discordant = [];
+    (calls[0] || new Map()).forEach((_, label) => {
+        if (!calls.every(c => c.has(label))) return;
+        const lesionCalls = calls.map(c => c.get(label));
+        const ratedCvs = lesionCalls.filter(c => c.cvs !== null && !c.excluded).map(c => c.cvs);
+        const prl = lesionCalls.map(c => c.prl);
+        const excluded = lesionCalls.map(c => c.excluded);
+        const cvsDisagree = ratedCvs.some(v => v !== ratedCvs[0]);
+        const prlDisagree = prl.some(v => v !== prl[0]);
+        const exclusionDisagree = excluded.some(v => v !== excluded[0]);
+        if (cvsDisagree || prlDisagree || exclusionDisagree) {
+            discordant.push({
+                label,
+                cvsDisagree,
+                prlDisagree,
+                exclusionDisagree,
+                scores: lesionCalls.map(c => c.score),
+                prl,
+                excluded,
+            });
+        }
+    });
+
+    return { raters, pairs, discordant };
+};
@@ -0,0 +1,200 @@
+import { sessionProgress } from './session';
+import { CVS_THRESHOLD } from './labelMap';
+import { DEFAULT_MATCHING_RULES, isNiftiName, matchFileSlot } from './matchingRules';
+import { sidecarPathFor } from './bidsSidecar';
+
+// Dataset-level review: the subjects found by scanning a BIDS root folder, their rating
+// progress (from the autosaved sessions) and a per-subject summary table.
+
+export const DATASET_FILE_KEYS = ['flairStar', 'lesion', 'swi', 'flair', 'phase'];
+export const DATASET_FILE_LABELS = {
+    flairStar: 'FLAIRSTAR',
+    lesion: 'Lesion Mask',
+    swi: 'SWI',
+    flair: 'FLAIR',
+    phase: 'Phase',
+};
+export const DATASET_TABLE_VERSION = 1;
+
+// Entry key of a subject/session pair, e.g. "sub-01_ses-02" ("sub-01" without sessions)
+export const datasetEntryId = (subjectId, sessionLabel) => (sessionLabel ? `${subjectId}_${sessionLabel}` : subjectId);
+
+// Group the NIfTI files of a BIDS root (from a webkitdirectory input) by subject and session,
+// assigning them to slots with the matching rules (utils/matchingRules.js).
+// Returns { entryId: { id, subjectId, sessionLabel, flairStar, lesion, swi, flair, phase, candidates, sidecars } }
+// where each slot holds the first matching File (by path), `candidates` every match per slot
+// and `sidecars` the JSON sidecar File of each candidate, keyed by its path.
+export const scanBidsFiles = (fileList, rules = DEFAULT_MATCHING_RULES) => {
+    const subjects = {};
+    const jsonByPath = {};
+    const files = Array.from(fileList).sort((a, b) =>
+        (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+
+    files.forEach(file => {
+        const path = file.webkitRelativePath || "";
+
+        // Subject and session from the path: looks for "sub-XXXX" and "ses-XXXX"
+        const subMatch = path.match(/(sub-[a-zA-Z0-9]+)/);
+        if (!subMatch) return; // Skip files not in a subject folder
+
+        // Sidecars are attached to their images below
+        if (/\.json$/i.test(file.name)) {
+            jsonByPath[path] = file;
+            return;
+        }
+        const sesMatch = path.match(/(ses-[a-zA-Z0-9]+)/);
+
+        // Any image creates the entry, so subjects/sessions missing required files are listed too
+        if (!isNiftiName(file.name)) return;
+
+        const id = datasetEntryId(subMatch[1], sesMatch ? sesMatch[1] : null);
+        if (!subjects[id]) {
+            subjects[id] = {
+                flairStar: null,
+                lesion: null,
+                swi: null,
+                flair: null,
+                phase: null,
+                id,
+                subjectId: subMatch[1],
+                sessionLabel: sesMatch ? sesMatch[1] : null,
+                candidates: {},
+                sidecars: {}
+            };
+        }
+
+        const found = subjects[id];
+        const slot = matchFileSlot(file.name, rules);
+        if (!slot) return;
+        if (!found[slot]) found[slot] = file;
+        (found.candidates[slot] = found.candidates[slot] || []).push(file);
+    });
+
+    Object.values(subjects).forEach(entry => {
+        Object.values(entry.candidates).flat().forEach(file => {
+            const sidecar = jsonByPath[sidecarPathFor(file.webkitRelativePath)];
+            if (sidecar) entry.sidecars[file.webkitRelativePath] = sidecar;
+        });
+    });
+
+    return subjects;
+};
+
+// JSON sidecar File of a scanned file, or null
+export const sidecarFor = (entry, file) => (file && entry?.sidecars?.[file.webkitRelativePath || file.name]) || null;
+
+// Slots of an entry with more than one matching file (the user should choose)
+export const ambiguousSlots = (entry) =>
+    DATASET_FILE_KEYS.filter(key => (entry?.candidates?.[key]?.length || 0) > 1);
+
+// Ambiguous slots the user has not chosen a file for yet (entry.chosen, set in DataLoadModal)
+export const unresolvedSlots = (entry) => ambiguousSlots(entry).filter(key => !entry.chosen?.[key]);
+
+// No FLAIRSTAR file, but FLAIR and SWI to synthesise it from (utils/flairStar.js)
+export const needsFlairStarSynthesis = (entry) => !!(entry && !entry.flairStar && entry.flair && entry.swi);
+
+// FLAIRSTAR (or FLAIR and SWI to synthesise it) and the lesion mask are required to load a subject
+export const isSubjectReady = (entry) => !!((entry?.flairStar || needsFlairStarSynthesis(entry)) && entry?.lesion);
+
+export const REVIEW_STATUSES = [
+    { id: 'notStarted', label: 'Not started' },
+    { id: 'inProgress', label: 'In progress' },
+    { id: 'complete', label: 'Complete' },
+];
+
+export const reviewStatusLabel = (status) => REVIEW_STATUSES.find(s => s.id === status)?.label || status;
+
+// Review status of a subject from its latest session (null = never opened)
+export const reviewStatus = (session) => {
+    if (!session) return 'notStarted';
+    const { rated, total } = sessionProgress(session);
+    if (rated === 0) return 'notStarted';
+    return rated >= total ? 'complete' : 'inProgress';
+};
+
+// Latest autosaved session per dataset entry (subject + session label). With a rater name,
+// only that rater's sessions count, so each rater sees their own progress through the dataset.
+export const latestSessionsByEntry = (sessions, raterName) => {
+    const latest = {};
+    sessions.forEach(s => {
+        if (!s?.subjectId) return;
+        if (raterName && s.rater && s.rater !== raterName) return;
+        const id = datasetEntryId(s.subjectId, s.sessionLabel);
+        const prev = latest[id];
+        if (!prev || (s.updatedAt || '') > (prev.updatedAt || '')) latest[id] = s;
+    });
+    return latest;
+};
+
+// CVS+ and PRL+ counts of a session. Sessions saved with a CVS summary use it (NAIMS
+// exclusions applied); older ones count CVS+ scores of lesions the rater did not exclude.
+export const sessionCounts = (session) => {
+    const prlPositive = session.lesions.filter(s => s.prl).length;
+    if (session.summary) {
+        return { cvsPositive: session.summary.positive, eligible: session.summary.eligible, prlPositive };
+    }
+    const included = session.lesions.filter(s => !s.exclusion);
+    return {
+        cvsPositive: included.filter(s => s.score !== null && s.score !== undefined && s.score >= CVS_THRESHOLD).length,
+        eligible: null,
+        prlPositive
+    };
+};
+
+export const DATASET_SUMMARY_COLUMNS = [
+    { name: 'participant_id', description: 'BIDS subject label' },
+    { name: 'session_id', description: 'BIDS session label (ses-XX); n/a for datasets without sessions' },
+    { name: 'files_ready', description: 'Whether FLAIRSTAR (or FLAIR and SWI to synthesise it) and the lesion mask were found (yes/no)' },
+    { name: 'review_status', description: 'not_started, in_progress or complete' },
+    { name: 'rater', description: 'Rater of the latest saved session' },
+    { name: 'n_lesions', description: 'Number of lesions in the rated mask' },
+    { name: 'n_rated', description: 'Lesions with a CVS score or PRL flag' },
+    { name: 'n_eligible', description: 'Lesions not excluded by the NAIMS CVS criteria (n/a for sessions saved without a CVS summary)' },
+    { name: 'n_cvs_positive', description: `Eligible lesions with a CVS score >= ${CVS_THRESHOLD}` },
+    { name: 'n_prl_positive', description: 'Lesions flagged as paramagnetic rim lesions' },
+    { name: 'last_edited', description: 'Time of the latest saved session (ISO 8601)' },
+];
+
+const STATUS_VALUES = { notStarted: 'not_started', inProgress: 'in_progress', complete: 'complete' };
+
+// One summary row per scanned subject/session (sorted by entry ID)
+export const buildDatasetRows = (subjects, sessionsByEntry) => {
+    return Object.keys(subjects).sort().map(id => {
+        const entry = subjects[id];
+        const session = sessionsByEntry[id] || null;
+        const row = {
+            participant_id: entry.subjectId,
+            session_id: entry.sessionLabel || 'n/a',
+            files_ready: isSubjectReady(entry) ? 'yes' : 'no',
+            review_status: STATUS_VALUES[reviewStatus(session)],
+            rater: '',
+            n_lesions: 'n/a',
+            n_rated: 'n/a',
+            n_eligible: 'n/a',
+            n_cvs_positive: 'n/a',
+            n_prl_positive: 'n/a',
+            last_edited: 'n/a',
+        };
+        if (!session) return row;
+
+        const { rated, total } = sessionProgress(session);
+        const counts = sessionCounts(session);
+        return {
+            ...row,
+            rater: session.rater || '',
+            n_lesions: total,
+            n_rated: rated,
+            n_eligible: counts.eligible ?? 'n/a',
+            n_cvs_positive: counts.cvsPositive,
+            n_prl_positive: counts.prlPositive,
+            last_edited: session.updatedAt || 'n/a',
+        };
+    });
+};
+
+// Next entry after `currentId` (in sorted order) that has the files needed to load it
+export const nextReadySubject = (subjects, currentId) => {
+    const ids = Object.keys(subjects).sort();
+    const start = ids.indexOf(currentId);
+    return ids.slice(start + 1).find(id => isSubjectReady(subjects[id])) || null;
+};
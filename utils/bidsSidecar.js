@@ -0,0 +1,71 @@
+import { readFileAsText } from './download';
+
+// BIDS JSON sidecars: acquisition metadata stored next to each NIfTI under the same name
+// (sub-01_swi.nii.gz -> sub-01_swi.json). Only the fields below are shown; the whole
+// sidecar is kept in fileMetadata.
+
+export const SIDECAR_FIELDS = [
+    { key: 'Manufacturer', label: 'Manufacturer' },
+    { key: 'ManufacturersModelName', label: 'Model' },
+    { key: 'MagneticFieldStrength', label: 'Field strength', units: 'T' },
+    { key: 'SeriesDescription', label: 'Series' },
+    { key: 'EchoTime', label: 'Echo time', units: 'ms', scale: 1000 }, // seconds in BIDS
+    { key: 'RepetitionTime', label: 'Repetition time', units: 'ms', scale: 1000 },
+    { key: 'InversionTime', label: 'Inversion time', units: 'ms', scale: 1000 },
+    { key: 'FlipAngle', label: 'Flip angle', units: '°' },
+    { key: 'SliceThickness', label: 'Slice thickness', units: 'mm' },
+    { key: 'PixelBandwidth', label: 'Pixel bandwidth', units: 'Hz/px' },
+    { key: 'ParallelReductionFactorInPlane', label: 'Parallel imaging factor' },
+    { key: 'SoftwareVersions', label: 'Software' },
+];
+
+const NIFTI_EXTENSION = /\.nii(\.gz)?$/i;
+
+// Path of the sidecar belonging to a NIfTI path or name
+export const sidecarPathFor = (niftiPath) => (niftiPath || '').replace(NIFTI_EXTENSION, '.json');
+
+// Parse sidecar JSON text. Throws on invalid files.
+export const parseSidecar = (text) => {
+    let sidecar;
+    try {
+        sidecar = JSON.parse(text);
+    } catch (e) {
+        throw new Error("Sidecar is not valid JSON");
+    }
+    if (!sidecar || typeof sidecar !== 'object' || Array.isArray(sidecar)) {
+        throw new Error("Sidecar is not a JSON object");
+    }
+    return sidecar;
+};
+
+const formatNumber = (v, scale = 1) => String(Number((v * scale).toPrecision(4)));
+
+// Display value of a sidecar field (multi-echo times are lists)
+export const formatSidecarValue = (field, value) => {
+    const values = Array.isArray(value) ? value : [value];
+    const text = values.map(v => (typeof v === 'number' ? formatNumber(v, field.scale) : String(v))).join(', ');
+    if (!field.units) return text;
+    return field.units === '°' ? `${text}°` : `${text} ${field.units}`;
+};
+
+// "Label: value" lines for the known fields present in a sidecar
+export const describeSidecar = (sidecar) =>
+    SIDECAR_FIELDS.filter(f => sidecar?.[f.key] !== undefined && sidecar[f.key] !== null)
+        .map(f => `${f.label}: ${formatSidecarValue(f, sidecar[f.key])}`);
+
+// Read and parse sidecar Files per modality ({ key: File | null }).
+// Returns { key: { name, fields } }, or { key: { name, error } } for unreadable files.
+export const readSidecars = async (sidecarFiles) => {
+    const sidecars = {};
+    for (const key of Object.keys(sidecarFiles)) {
+        const file = sidecarFiles[key];
+        if (!file) continue;
+        try {
+            sidecars[key] = { name: file.name, fields: parseSidecar(await readFileAsText(file)) };
+        } catch (e) {
+            console.warn(`Could not read sidecar ${file.name}:`, e);
+            sidecars[key] = { name: file.name, error: e.message };
+        }
+    }
+    return sidecars;
+};
@@ -0,0 +1,105 @@
+// Colour maps and lesion overlay settings shared by SliceViewer and the report renderer
+// (utils/renderer.js), so report images look the same as the screen.
+
+export const COLOR_MAPS = [
+    { id: 'gray', label: 'Gray' },
+    { id: 'inverted', label: 'Inverted' },
+    { id: 'hot', label: 'Hot' },
+    { id: 'diverging', label: 'Diverging' }, // blue - white - red, for phase
+];
+
+export const DEFAULT_COLOR_MAPS = {
+    flairStar: 'gray',
+    swi: 'gray',
+    flair: 'gray',
+    phase: 'gray',
+};
+
+export const OVERLAY_MODES = [
+    { id: 'outline', label: 'Outline' },
+    { id: 'filled', label: 'Filled' },
+    { id: 'off', label: 'Off' },
+];
+
+export const DEFAULT_OVERLAY = {
+    mode: 'outline',
+    opacity: 0.4, // filled mode only
+    currentColor: '#00ff00',
+    otherColor: '#60a5fa',
+};
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+const lerp = (a, b, t) => a.map((v, k) => v + (b[k] - v) * t);
+
+// RGB (0-255) for a normalized value t in [0, 1]
+const colorAt = (id, t) => {
+    switch (id) {
+        case 'inverted':
+            return [255 * (1 - t), 255 * (1 - t), 255 * (1 - t)];
+        case 'hot':
+            return [255 * clamp01(3 * t), 255 * clamp01(3 * t - 1), 255 * clamp01(3 * t - 2)];
+        case 'diverging': {
+            const blue = [33, 102, 172], white = [247, 247, 247], red = [178, 24, 43];
+            return t < 0.5 ? lerp(blue, white, t * 2) : lerp(white, red, (t - 0.5) * 2);
+        }
+        default:
+            return [255 * t, 255 * t, 255 * t];
+    }
+};
+
+const lutCache = {};
+
+// 256-entry lookup table (r, g, b interleaved)
+export const colorMapLut = (id) => {
+    const key = COLOR_MAPS.some(c => c.id === id) ? id : 'gray';
+    if (!lutCache[key]) {
+        const lut = new Uint8ClampedArray(256 * 3);
+        for (let i = 0; i < 256; i++) {
+            const [r, g, b] = colorAt(key, i / 255);
+            lut[i * 3] = r;
+            lut[i * 3 + 1] = g;
+            lut[i * 3 + 2] = b;
+        }
+        lutCache[key] = lut;
+    }
+    return lutCache[key];
+};
+
+// CSS gradient (left = window min, right = window max) for the on-screen colour bar
+export const colorMapGradient = (id) => {
+    const stops = [];
+    for (let k = 0; k <= 8; k++) {
+        const [r, g, b] = colorAt(id, k / 8).map(Math.round);
+        stops.push(`rgb(${r},${g},${b}) ${(k / 8) * 100}%`);
+    }
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+};
+
+export const hexToRgb = (hex) => {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [255, 255, 255];
+};
+
+// Colour bar with the window range drawn onto a 2D canvas context (report images)
+export const drawColorBar = (ctx, { x, y, width, height, colorMap, windowMin, windowMax }) => {
+    const lut = colorMapLut(colorMap);
+    for (let i = 0; i < width; i++) {
+        const v = Math.round((i / Math.max(1, width - 1)) * 255) * 3;
+        ctx.fillStyle = `rgb(${lut[v]},${lut[v + 1]},${lut[v + 2]})`;
+        ctx.fillRect(x + i, y, 1, height);
+    }
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatWindowValue(windowMin), x, y - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatWindowValue(windowMax), x + width, y - 2);
+};
+
+export const formatWindowValue = (v) => (Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(2));
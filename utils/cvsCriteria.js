@@ -0,0 +1,79 @@
+import { CVS_THRESHOLD } from './labelMap';
+import { lesionDiameterMm } from './lesionFilter';
+
+// NAIMS central vein sign criteria (Sati et al., Nat Rev Neurol 2016).
+//
+// Lesions are excluded from CVS assessment if they are < 3 mm in diameter, confluent,
+// have multiple veins, or are poorly visualised. Lesions below the diameter threshold
+// are flagged automatically; the rater can set or clear any exclusion per lesion.
+
+export const DEFAULT_MIN_DIAMETER_MM = 3;
+
+export const EXCLUSION_REASONS = [
+    { id: 'small', label: 'Diameter below threshold' },
+    { id: 'confluent', label: 'Confluent' },
+    { id: 'multipleVeins', label: 'Multiple veins' },
+    { id: 'poorlyVisualized', label: 'Poorly visualised' },
+];
+
+export const exclusionLabel = (reason) =>
+    EXCLUSION_REASONS.find(r => r.id === reason)?.label || reason;
+
+// Automatic exclusion from the lesion's largest extent in mm (metrics computed with pixDims)
+export const autoExclusion = (metrics, minDiameterMm) => {
+    const diameter = lesionDiameterMm(metrics);
+    return diameter !== null && diameter < minDiameterMm ? 'small' : null;
+};
+
+// Effective exclusion of a lesion: the rater's choice if set (null = explicitly included),
+// otherwise the automatic flag. Returns { reason, auto }.
+export const lesionExclusion = (idx, lesionExclusions, lesionMetrics, minDiameterMm) => {
+    if (Object.prototype.hasOwnProperty.call(lesionExclusions, idx)) {
+        return { reason: lesionExclusions[idx], auto: false };
+    }
+    return { reason: autoExclusion(lesionMetrics[idx], minDiameterMm), auto: true };
+};
+
+// Subject-level CVS summary over the lesions that are not excluded.
+// - proportion: CVS+ / rated eligible lesions; the 40% rule is met at >= 0.4
+// - select-3 / select-6: at least 3 / 6 eligible lesions rated CVS+
+export const summarizeCvs = ({ lesions, lesionScores, lesionExclusions, lesionMetrics, minDiameterMm }) => {
+    let eligible = 0;
+    let excluded = 0;
+    let rated = 0;
+    let positive = 0;
+
+    lesions.forEach((_, idx) => {
+        if (lesionExclusion(idx, lesionExclusions, lesionMetrics, minDiameterMm).reason) {
+            excluded++;
+            return;
+        }
+        eligible++;
+        const score = lesionScores[idx];
+        if (score === undefined || score === null) return;
+        rated++;
+        if (score >= CVS_THRESHOLD) positive++;
+    });
+
+    const proportion = rated > 0 ? positive / rated : null;
+    return {
+        eligible,
+        excluded,
+        rated,
+        positive,
+        proportion,
+        fortyPercent: proportion !== null && proportion >= 0.4,
+        select3: positive >= 3,
+        select6: positive >= 6,
+    };
+};
+
+// One-line summaries for reports
+export const describeCvsSummary = (summary) => {
+    const pct = summary.proportion === null ? 'n/a' : `${(summary.proportion * 100).toFixed(0)}%`;
+    return [
+        `Eligible lesions: ${summary.eligible} (${summary.excluded} excluded, ${summary.rated} rated)`,
+        `CVS proportion: ${pct} (${summary.positive}/${summary.rated}) - 40% rule ${summary.fortyPercent ? 'met' : 'not met'}`,
+        `Select-3: ${summary.select3 ? 'met' : 'not met'} | Select-6: ${summary.select6 ? 'met' : 'not met'} (${summary.positive} CVS+)`,
+    ];
+};
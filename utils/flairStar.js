@@ -0,0 +1,133 @@
+import { calculatePercentile } from './imageProcessing';
+
+// FLAIR* synthesis (Sati et al., Radiology 2012): the voxelwise product of FLAIR and a
+// T2*-weighted magnitude image (SWI) on the same grid. Each volume is first scaled by the
+// mean of its foreground so both contribute equally; an optional bias-field correction
+// divides each volume by a heavily smoothed copy of itself before that.
+
+const FOREGROUND_FRACTION = 0.1; // of the 99th percentile of positive voxels
+const BIAS_RADIUS_MM = 20; // box half-width; three passes approximate a Gaussian
+const BIAS_PASSES = 3;
+const MAX_SAMPLES = 200000;
+
+// Foreground: voxels above a fraction of the robust maximum
+const foregroundMask = (data) => {
+    const step = Math.max(1, Math.floor(data.length / MAX_SAMPLES));
+    const samples = [];
+    for (let i = 0; i < data.length; i += step) {
+        if (data[i] > 0) samples.push(data[i]);
+    }
+    const mask = new Uint8Array(data.length);
+    if (samples.length === 0) return mask;
+
+    samples.sort((a, b) => a - b);
+    const threshold = FOREGROUND_FRACTION * calculatePercentile(samples, 99);
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] > threshold) mask[i] = 1;
+    }
+    return mask;
+};
+
+// In-place running-sum box filter along one axis (zero padded)
+const boxFilterAxis = (data, dims, axis, radius) => {
+    if (radius < 1) return;
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const [a0, a1] = [0, 1, 2].filter(a => a !== axis);
+    const len = dims[axis];
+    const stride = strides[axis];
+    const line = new Float32Array(len);
+
+    for (let b = 0; b < dims[a1]; b++) {
+        for (let a = 0; a < dims[a0]; a++) {
+            const base = a * strides[a0] + b * strides[a1];
+            for (let t = 0; t < len; t++) line[t] = data[base + t * stride];
+
+            let sum = 0;
+            for (let t = 0; t <= Math.min(radius, len - 1); t++) sum += line[t];
+            for (let t = 0; t < len; t++) {
+                data[base + t * stride] = sum;
+                if (t + radius + 1 < len) sum += line[t + radius + 1];
+                if (t - radius >= 0) sum -= line[t - radius];
+            }
+        }
+    }
+};
+
+const foregroundMean = (data, mask) => {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (mask[i]) {
+            sum += data[i];
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : 1;
+};
+
+// Divide by the smoothed foreground intensity (normalized convolution, so the background
+// does not pull the estimate down at the brain edge)
+const correctBias = (data, mask, dims, pixDims) => {
+    const n = data.length;
+    const num = new Float32Array(n);
+    const den = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        if (mask[i]) {
+            num[i] = data[i];
+            den[i] = 1;
+        }
+    }
+    for (let pass = 0; pass < BIAS_PASSES; pass++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const radius = Math.round(BIAS_RADIUS_MM / (pixDims[axis] || 1));
+            boxFilterAxis(num, dims, axis, radius);
+            boxFilterAxis(den, dims, axis, radius);
+        }
+    }
+
+    const mean = foregroundMean(data, mask);
+    const corrected = num; // reuse the buffer
+    for (let i = 0; i < n; i++) {
+        const bias = den[i] > 1e-3 ? num[i] / den[i] : mean;
+        corrected[i] = bias > 0 ? (data[i] * mean) / bias : data[i];
+    }
+    return corrected;
+};
+
+// Scale by the foreground mean; negative values (e.g. interpolation overshoot) are clipped
+const normalizeVolume = (data, mask) => {
+    const mean = foregroundMean(data, mask) || 1;
+    const out = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        out[i] = data[i] > 0 ? data[i] / mean : 0;
+    }
+    return out;
+};
+
+// One-line description of how a synthesised FLAIR* was made (result.flairStarSynthesis)
+export const describeFlairStarSynthesis = (synthesis) =>
+    `synthesised from FLAIR × SWI${synthesis.biasCorrection ? ' with bias-field correction' : ''}`;
+
+// FLAIR* from FLAIR and T2*-weighted magnitude data on the same grid (dims, pixDims in mm).
+// Returns a Float32Array; the pipeline z-normalizes it like a loaded FLAIRSTAR.
+export const synthesizeFlairStar = (flair, t2star, dims, pixDims, { biasCorrection = false } = {}, onProgress = () => { }) => {
+    if (flair.length !== t2star.length) {
+        throw new Error("FLAIR and SWI must share a grid to synthesise FLAIR* (enable resampling)");
+    }
+
+    const prepare = (data, progressStart) => {
+        const mask = foregroundMask(data);
+        onProgress(progressStart + 10);
+        const source = biasCorrection ? correctBias(data, mask, dims, pixDims) : data;
+        onProgress(progressStart + 40);
+        return normalizeVolume(source, mask);
+    };
+
+    const f = prepare(flair, 0);
+    const t = prepare(t2star, 50);
+
+    const out = new Float32Array(f.length);
+    for (let i = 0; i < out.length; i++) out[i] = f[i] * t[i];
+    onProgress(100);
+    return out;
+};
@@ -0,0 +1,65 @@
+import { voxelToWorld } from './niftiLoader';
+
+// Every volume is indexed with the same linear voxel index as FLAIRSTAR, so all
+// files must share its matrix size, voxel size and voxel-to-scanner affine.
+
+const PIXDIM_TOLERANCE = 1e-3; // relative
+const AFFINE_TOLERANCE = 0.1; // fraction of the smallest voxel size
+
+const fmtDims = (d) => d.join('×');
+const fmtPix = (p) => p.map(v => v.toFixed(3)).join(' × ') + ' mm';
+
+// Largest distance (mm) between where the two affines place the reference grid corners
+const maxCornerShift = (refDims, refAffine, affine) => {
+    let maxShift = 0;
+    for (const i of [0, refDims[0] - 1]) {
+        for (const j of [0, refDims[1] - 1]) {
+            for (const k of [0, refDims[2] - 1]) {
+                const a = voxelToWorld(refAffine, i, j, k);
+                const b = voxelToWorld(affine, i, j, k);
+                maxShift = Math.max(maxShift, Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]));
+            }
+        }
+    }
+    return maxShift;
+};
+
+// List the ways one grid differs from the reference grid (empty if identical)
+export const compareGrid = (ref, other) => {
+    const issues = [];
+
+    if (ref.dims.some((d, i) => d !== other.dims[i])) {
+        issues.push(`Matrix size ${fmtDims(other.dims)} vs ${fmtDims(ref.dims)}`);
+    }
+
+    if (ref.pixDims.some((p, i) => Math.abs(p - other.pixDims[i]) > PIXDIM_TOLERANCE * Math.max(Math.abs(p), 1e-6))) {
+        issues.push(`Voxel size ${fmtPix(other.pixDims)} vs ${fmtPix(ref.pixDims)}`);
+    }
+
+    if (ref.affine && other.affine) {
+        const shift = maxCornerShift(ref.dims, ref.affine, other.affine);
+        const tolerance = AFFINE_TOLERANCE * Math.min(...ref.pixDims.map(Math.abs));
+        if (shift > tolerance) {
+            issues.push(`Affine differs (grid displaced by up to ${shift.toFixed(2)} mm)`);
+        }
+    }
+
+    return issues;
+};
+
+// Check every loaded volume against FLAIRSTAR.
+// grids: { flairStar: {dims, pixDims, affine}, lesion: {...}, ... } (missing entries skipped)
+export const validateGrids = (grids, refKey = 'flairStar') => {
+    const ref = grids[refKey];
+    const entries = {};
+    let ok = true;
+
+    Object.keys(grids).forEach(key => {
+        if (!grids[key] || key === refKey) return;
+        const issues = compareGrid(ref, grids[key]);
+        entries[key] = { issues };
+        if (issues.length > 0) ok = false;
+    });
+
+    return { ok, entries };
+};
@@ -0,0 +1,76 @@
+// CVS/PRL category label map, exported as a BIDS derivatives discrete segmentation (dseg)
+
+// A lesion counts as CVS+ at the same threshold as the Session Stats (>= 0.5)
+export const CVS_THRESHOLD = 0.5;
+
+export const CVS_LABEL_CODES = [
+    { index: 1, name: 'CVS-negative', abbreviation: 'CVS-', description: 'Lesion rated CVS- (or not rated) and not PRL+' },
+    { index: 2, name: 'CVS-positive', abbreviation: 'CVS+', description: 'Lesion rated CVS+ and not PRL+' },
+    { index: 3, name: 'PRL-positive', abbreviation: 'PRL+', description: 'Paramagnetic rim lesion, not CVS+' },
+    { index: 4, name: 'CVS-positive-PRL-positive', abbreviation: 'CVS+PRL+', description: 'Lesion rated both CVS+ and PRL+' },
+];
+
+export const categoryCode = (score, isPrl) => {
+    const isCvs = (score || 0) >= CVS_THRESHOLD;
+    if (isCvs && isPrl) return 4;
+    if (isPrl) return 3;
+    if (isCvs) return 2;
+    return 1;
+};
+
+// Per-voxel category codes from the connected-component map.
+// Components filtered out of the lesion list (too small) stay 0.
+export const buildCategoryMap = (labeledMask, lesions, lesionScores, lesionPRL) => {
+    const codeByLabel = new Map();
+    lesions.forEach((l, idx) => {
+        codeByLabel.set(l.id, categoryCode(lesionScores[idx], !!lesionPRL[idx]));
+    });
+
+    const out = new Uint8Array(labeledMask.length);
+    for (let i = 0; i < labeledMask.length; i++) {
+        const label = labeledMask[i];
+        if (label > 0) out[i] = codeByLabel.get(label) || 0;
+    }
+    return out;
+};
+
+// BIDS derivatives file name, e.g. sub-01_ses-02_space-swi_desc-cvs_dseg.nii.gz
+export const bidsDerivativeName = ({ subjectId, sessionId, space, desc, suffix, extension }) => {
+    const parts = [subjectId || 'sub-unknown'];
+    if (sessionId) parts.push(sessionId);
+    if (space) parts.push(`space-${space}`);
+    if (desc) parts.push(`desc-${desc}`);
+    parts.push(suffix);
+    return parts.join('_') + extension;
+};
+
+// dseg.tsv lookup table describing the label codes
+export const buildDsegTsv = () => {
+    const lines = ['index\tname\tabbreviation'];
+    CVS_LABEL_CODES.forEach(c => lines.push(`${c.index}\t${c.name}\t${c.abbreviation}`));
+    return lines.join('\n') + '\n';
+};
+
+// Sidecar for the edited lesion mask, listing the labels added by the rater
+export const buildEditedMaskSidecar = ({ sourceFiles, raterName, lesions }) => ({
+    Description: 'Lesion label map edited in CvsView (painted, erased, merged, split or added lesions).',
+    Sources: Object.values(sourceFiles || {}).map(f => f?.name).filter(Boolean),
+    GeneratedBy: [{ Name: 'CvsView Web' }],
+    Rater: raterName || '',
+    RaterAddedLabels: lesions.filter(l => l.added).map(l => l.id),
+});
+
+// JSON sidecar for the dseg image
+export const buildDsegSidecar = ({ sourceFiles, raterName }) => {
+    const labels = {};
+    CVS_LABEL_CODES.forEach(c => { labels[c.index] = { Name: c.name, Description: c.description }; });
+
+    return {
+        Description: 'Central vein sign (CVS) and paramagnetic rim lesion (PRL) ratings per lesion, painted into the lesion mask.',
+        Sources: Object.values(sourceFiles || {}).map(f => f?.name).filter(Boolean),
+        GeneratedBy: [{ Name: 'CvsView Web' }],
+        Rater: raterName || '',
+        CvsThreshold: CVS_THRESHOLD,
+        Labels: labels,
+    };
+};
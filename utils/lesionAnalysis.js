@@ -1,7 +1,134 @@
-// Iterative Union-Find based Connected Component Labeling (3D)
-// Connectivity = 26 (includes diagonals)
+// Lesion extraction from the lesion mask.
+//
+// Default: Iterative Union-Find based Connected Component Labeling (3D) of the voxels
+// above `threshold`, with 6, 18 or 26 connectivity. With `useExistingLabels` the mask is
+// read as an integer label map and every label becomes one lesion (no CCA).
+// Lesions smaller than `minSizeVoxels` (or `minSizeMm3`, when set) are left out of the list
+// in both modes. The default keeps components of more than 10 voxels, as earlier versions did,
+// so existing sessions still match the extracted lesions.
+// onProgress receives { percent, message }
+
+export const DEFAULT_EXTRACTION = {
+    connectivity: 26,
+    threshold: 0.5, // voxels > threshold belong to a lesion (probability cut-off for soft masks)
+    minSizeVoxels: 11,
+    minSizeMm3: null, // opt-in: a size in mm³ replaces minSizeVoxels (independent of voxel size)
+    useExistingLabels: false,
+};
+
+export const CONNECTIVITY_OPTIONS = [6, 18, 26];
+
+// Already visited neighbours (previous in scan order) for each connectivity
+const PRIOR_NEIGHBORS = {
+    6: [
+        [0, 0, -1], [0, -1, 0], [-1, 0, 0]
+    ],
+    18: [
+        [0, -1, -1], [-1, 0, -1], [0, 0, -1], [1, 0, -1], [0, 1, -1],
+        [-1, -1, 0], [0, -1, 0], [1, -1, 0],
+        [-1, 0, 0]
+    ],
+    26: [
+        [-1, -1, -1], [0, -1, -1], [1, -1, -1],
+        [-1, 0, -1], [0, 0, -1], [1, 0, -1],
+        [-1, 1, -1], [0, 1, -1], [1, 1, -1],
+        [-1, -1, 0], [0, -1, 0], [1, -1, 0],
+        [-1, 0, 0]
+    ],
+};
+
+// Short description for reports, e.g. "CCA, 26-connectivity, threshold > 0.5, min 11 voxels"
+export const describeExtraction = (extraction) => {
+    const e = { ...DEFAULT_EXTRACTION, ...extraction };
+    const minSize = e.minSizeMm3 !== null ? `min ${e.minSizeMm3} mm³` : `min ${e.minSizeVoxels} voxels`;
+    if (e.useExistingLabels) return `Existing label map, ${minSize}`;
+    return `CCA, ${e.connectivity}-connectivity, threshold > ${e.threshold}, ${minSize}`;
+};
+
+// Centroid and voxel count per label, keeping lesions of at least minVoxels
+const summarizeLabels = async (labels, dims, minVoxels, onProgress, basePercent) => {
+    const [width, height] = dims;
+    const size = labels.length;
+    const centroids = new Map(); // label -> {x, y, z, count}
+
+    // Chunked processing for massive array
+    const CHUNK_SIZE = 100000; // Process 100k voxels at a time
+    for (let i = 0; i < size; i += CHUNK_SIZE) {
+        if (i % (CHUNK_SIZE * 5) === 0) {
+            const pct = Math.round((i / size) * 100);
+            onProgress({ percent: basePercent + Math.round(pct * (100 - basePercent) / 100), message: `Measuring lesions, ${pct}%` });
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        const end = Math.min(i + CHUNK_SIZE, size);
+        for (let j = i; j < end; j++) {
+            const label = labels[j];
+            if (label <= 0) continue;
+
+            const z = Math.floor(j / (width * height));
+            const rem = j % (width * height);
+            const y = Math.floor(rem / width);
+            const x = rem % width;
+
+            let c = centroids.get(label);
+            if (!c) {
+                c = { x: 0, y: 0, z: 0, count: 0 };
+                centroids.set(label, c);
+            }
+            c.x += x;
+            c.y += y;
+            c.z += z;
+            c.count++;
+        }
+    }
+
+    const lesionList = [];
+    centroids.forEach((val, key) => {
+        if (val.count >= minVoxels) {
+            lesionList.push({
+                id: key,
+                x: Math.round(val.x / val.count),
+                y: Math.round(val.y / val.count),
+                z: Math.round(val.z / val.count),
+                volume: val.count
+            });
+        }
+    });
+    return lesionList.sort((a, b) => b.volume - a.volume); // Sort by size desc
+};
+
+// Integer label map used as-is (e.g. lesions already separated by another tool)
+const readLabelMap = (data) => {
+    const labels = new Int32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const v = data[i];
+        if (v <= 0) continue;
+        if (v !== Math.round(v)) {
+            throw new Error("Lesion mask is not an integer label map (found non-integer values). Turn off 'Use existing labels' for probability masks.");
+        }
+        labels[i] = v;
+    }
+    return labels;
+};
+
+export const findConnectedComponents = async (data, dims, options = {}, onProgress = () => { }) => {
+    const { connectivity, threshold, minSizeVoxels, minSizeMm3, useExistingLabels, voxelMm3 = 1 } = { ...DEFAULT_EXTRACTION, ...options };
+    const minVoxels = minSizeMm3 !== null
+        ? Math.max(1, Math.ceil(minSizeMm3 / voxelMm3 - 1e-9))
+        : Math.max(1, minSizeVoxels);
+
+    if (useExistingLabels) {
+        onProgress({ percent: 0, message: 'Reading label map' });
+        const labeledMask = readLabelMap(data);
+        return {
+            labeledMask,
+            lesions: await summarizeLabels(labeledMask, dims, minVoxels, onProgress, 0)
+        };
+    }
+
+    const neighbors = PRIOR_NEIGHBORS[connectivity];
+    if (!neighbors) throw new Error(`Unsupported connectivity: ${connectivity}`);
 
-export const findConnectedComponents = async (data, dims, onProgress = () => { }) => {
     const [width, height, depth] = dims;
     const size = width * height * depth;
     const labels = new Int32Array(size); // 0 = background
@@ -28,28 +155,18 @@ export const findConnectedComponents = async (data, dims, onProgress = () => { }
 
     const getIndex = (x, y, z) => x + y * width + z * width * height;
 
-    // Neighbors (13 neighbors for 26-connectivity in first pass)
-    // We only check already visited neighbors (previous in scan order)
-    const neighbors = [
-        [-1, -1, -1], [0, -1, -1], [1, -1, -1],
-        [-1, 0, -1], [0, 0, -1], [1, 0, -1],
-        [-1, 1, -1], [0, 1, -1], [1, 1, -1],
-        [-1, -1, 0], [0, -1, 0], [1, -1, 0],
-        [-1, 0, 0]
-    ];
-
     // Pass 1: Assign provisional labels
     for (let z = 0; z < depth; z++) {
         // Yield to UI every few slices
         if (z % 5 === 0) {
-            onProgress(`Analyzing Lesions (Pass 1/2): Slice ${z}/${depth}`);
+            onProgress({ percent: Math.round((z / depth) * 50), message: `Pass 1/2, slice ${z}/${depth}` });
             await new Promise(r => setTimeout(r, 0));
         }
 
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const idx = getIndex(x, y, z);
-                if (data[idx] > 0.5) { // Threshold > 0.5
+                if (data[idx] > threshold) {
                     let neighborLabels = [];
 
                     for (let n of neighbors) {
@@ -85,7 +202,7 @@ export const findConnectedComponents = async (data, dims, onProgress = () => { }
     }
 
     // Pass 2: Resolve labels
-    onProgress("Analyzing Lesions (Resolving Labels)...");
+    onProgress({ percent: 50, message: 'Resolving labels' });
     await new Promise(r => setTimeout(r, 0));
 
     const labelMap = new Map();
@@ -99,63 +216,13 @@ export const findConnectedComponents = async (data, dims, onProgress = () => { }
         }
     }
 
-    // Calculate centroids and re-write final labels
-    const centroids = new Map(); // label -> {xSum, ySum, zSum, count}
-
-    // Chunked processing for massive array
-    const CHUNK_SIZE = 100000; // Process 100k voxels at a time
-    for (let i = 0; i < size; i += CHUNK_SIZE) {
-        if (i % (CHUNK_SIZE * 5) === 0) {
-            const pct = Math.round((i / size) * 100);
-            onProgress(`Analyzing Lesions (Pass 2/2): ${pct}%`);
-            await new Promise(r => setTimeout(r, 0));
-        }
-
-        const end = Math.min(i + CHUNK_SIZE, size);
-        for (let j = i; j < end; j++) {
-            if (labels[j] > 0) {
-                const root = find(labels[j]);
-                if (labelMap.has(root)) { // Should always be true
-                    const finalLabel = labelMap.get(root);
-                    labels[j] = finalLabel;
-
-                    // Accumulate for centroid
-                    let z = Math.floor(j / (width * height));
-                    let rem = j % (width * height);
-                    let y = Math.floor(rem / width);
-                    let x = rem % width;
-
-                    if (!centroids.has(finalLabel)) {
-                        centroids.set(finalLabel, { x: 0, y: 0, z: 0, count: 0 });
-                    }
-                    const c = centroids.get(finalLabel);
-                    c.x += x;
-                    c.y += y;
-                    c.z += z;
-                    c.count++;
-                } else {
-                    labels[j] = 0; // Should not happen
-                }
-            }
-        }
+    // Re-write final labels
+    for (let j = 0; j < size; j++) {
+        if (labels[j] > 0) labels[j] = labelMap.get(find(labels[j])) || 0;
     }
 
-    // Finalize centroids
-    const lesionList = [];
-    centroids.forEach((val, key) => {
-        if (val.count > 10) { // arbitrary min size filter (similar to MATLAB < 5ml check but simplified)
-            lesionList.push({
-                id: key,
-                x: Math.round(val.x / val.count),
-                y: Math.round(val.y / val.count),
-                z: Math.round(val.z / val.count),
-                volume: val.count
-            });
-        }
-    });
-
     return {
         labeledMask: labels,
-        lesions: lesionList.sort((a, b) => b.volume - a.volume) // Sort by size desc
+        lesions: await summarizeLabels(labels, dims, minVoxels, onProgress, 50)
     };
 };
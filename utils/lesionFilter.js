@@ -0,0 +1,53 @@
+import { CVS_THRESHOLD } from './labelMap';
+
+// Filters and sort keys for the lesion browser. Lesion navigation (ArrowLeft/ArrowRight)
+// steps through the lesions that pass the active filters.
+
+// Rated = has a CVS score or a PRL flag (same rule as sessionProgress)
+export const isLesionRated = (idx, lesionScores, lesionPRL) =>
+    (lesionScores[idx] !== undefined && lesionScores[idx] !== null) || !!lesionPRL[idx];
+
+// Largest extent of the lesion along the R-L, A-P or S-I axis
+export const lesionDiameterMm = (metrics) => metrics ? Math.max(...metrics.extentMm) : null;
+
+export const LESION_FILTERS = [
+    { id: 'unrated', label: 'Unrated only', test: (idx, ctx) => !isLesionRated(idx, ctx.lesionScores, ctx.lesionPRL) },
+    { id: 'rated', label: 'Rated only', test: (idx, ctx) => isLesionRated(idx, ctx.lesionScores, ctx.lesionPRL) },
+    { id: 'cvs', label: 'CVS+ only', test: (idx, ctx) => (ctx.lesionScores[idx] ?? -1) >= CVS_THRESHOLD },
+    { id: 'prl', label: 'PRL+ only', test: (idx, ctx) => !!ctx.lesionPRL[idx] },
+    { id: 'diameter3', label: '≥ 3 mm diameter', test: (idx, ctx) => (lesionDiameterMm(ctx.lesionMetrics[idx]) ?? 0) >= 3 },
+];
+
+// Indices of the lesions passing every active filter (ascending)
+// ctx: { lesions, lesionMetrics, lesionScores, lesionPRL }
+export const filterLesionIndices = (ctx, activeFilters) => {
+    const tests = LESION_FILTERS.filter(f => activeFilters.includes(f.id));
+    const indices = [];
+    ctx.lesions.forEach((_, idx) => {
+        if (tests.every(f => f.test(idx, ctx))) indices.push(idx);
+    });
+    return indices;
+};
+
+// Sortable columns; value() returns a number or string (null sorts last)
+export const LESION_SORT_KEYS = {
+    index: (idx) => idx,
+    volume: (idx, ctx) => ctx.lesions[idx].volume,
+    location: (idx, ctx) => ctx.locations[idx]?.[2] ?? null, // superior-inferior position (mm)
+    cvs: (idx, ctx) => ctx.lesionScores[idx] ?? null,
+    prl: (idx, ctx) => ctx.lesionPRL[idx] ? 1 : 0,
+    status: (idx, ctx) => isLesionRated(idx, ctx.lesionScores, ctx.lesionPRL) ? 1 : 0,
+};
+
+export const sortLesionIndices = (indices, ctx, key, ascending) => {
+    const value = LESION_SORT_KEYS[key] || LESION_SORT_KEYS.index;
+    const dir = ascending ? 1 : -1;
+    return [...indices].sort((a, b) => {
+        const va = value(a, ctx);
+        const vb = value(b, ctx);
+        if (va === vb) return a - b;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        return va < vb ? -dir : dir;
+    });
+};
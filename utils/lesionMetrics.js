@@ -0,0 +1,182 @@
+// Per-lesion quantitative metrics, computed from the labeled mask in the RAS display
+// frame (axes x = R, y = A, z = S; see orientation.js).
+
+// Modalities summarised per lesion; FLAIRSTAR, SWI and FLAIR are z-scored, phase is raw
+export const METRIC_MODALITIES = [
+    { key: 'flairStar', label: 'FLAIRSTAR (z)' },
+    { key: 'swi', label: 'SWI (z)' },
+    { key: 'flair', label: 'FLAIR (z)' },
+    { key: 'phase', label: 'Phase (raw)' },
+];
+
+// Eigenvalues of a symmetric 3x3 matrix, largest first (closed form)
+const symmetricEigenvalues = (a00, a11, a22, a01, a02, a12) => {
+    const p1 = a01 * a01 + a02 * a02 + a12 * a12;
+    const q = (a00 + a11 + a22) / 3;
+    const p2 = (a00 - q) ** 2 + (a11 - q) ** 2 + (a22 - q) ** 2 + 2 * p1;
+    if (p2 <= 0) return [q, q, q];
+
+    const p = Math.sqrt(p2 / 6);
+    const b00 = (a00 - q) / p, b11 = (a11 - q) / p, b22 = (a22 - q) / p;
+    const b01 = a01 / p, b02 = a02 / p, b12 = a12 / p;
+    const det = b00 * (b11 * b22 - b12 * b12) - b01 * (b01 * b22 - b12 * b02) + b02 * (b01 * b12 - b11 * b02);
+    const r = det / 2;
+    const phi = r <= -1 ? Math.PI / 3 : r >= 1 ? 0 : Math.acos(r) / 3;
+
+    const e1 = q + 2 * p * Math.cos(phi);
+    const e3 = q + 2 * p * Math.cos(phi + (2 * Math.PI) / 3);
+    return [e1, 3 * q - e1 - e3, e3];
+};
+
+const intensityStats = (data, voxels) => {
+    const n = voxels.length;
+    const values = new Float64Array(n);
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        values[i] = data[voxels[i]];
+        sum += values[i];
+    }
+    const mean = sum / n;
+    let sq = 0;
+    for (let i = 0; i < n; i++) sq += (values[i] - mean) ** 2;
+
+    values.sort();
+    const mid = Math.floor(n / 2);
+    const median = n % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+    return { mean, median, sd: Math.sqrt(sq / n) };
+};
+
+// One metrics object per entry of `lesions` (same order):
+// volumeMl, bboxMin/bboxMax (display voxels), extentMm [R-L, A-P, S-I], surfaceMm2,
+// sphericity (1 = sphere; surface from voxel faces, so small lesions read low),
+// elongation (sqrt of 2nd/1st principal moment; 1 = round, towards 0 = elongated),
+// intensity { modality: { mean, median, sd } }, nearestLesion (index) and
+// nearestDistanceMm (centroid to centroid).
+export const computeLesionMetrics = (labeledMask, dims, pixDims, lesions, volumes = {}) => {
+    if (lesions.length === 0) return [];
+
+    const [width, height, depth] = dims;
+    const [px, py, pz] = pixDims;
+    const slice = width * height;
+
+    let maxLabel = 0;
+    lesions.forEach(l => { if (l.id > maxLabel) maxLabel = l.id; });
+    const indexOfLabel = new Int32Array(maxLabel + 1).fill(-1);
+    lesions.forEach((l, idx) => { indexOfLabel[l.id] = idx; });
+
+    const acc = lesions.map(() => ({
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity],
+        sum: [0, 0, 0],
+        sq: [0, 0, 0, 0, 0, 0], // xx, yy, zz, xy, xz, yz (mm²)
+        faces: [0, 0, 0], // exposed voxel faces normal to x, y, z
+        voxels: []
+    }));
+
+    for (let z = 0; z < depth; z++) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = x + y * width + z * slice;
+                const label = labeledMask[idx];
+                if (label <= 0 || label > maxLabel) continue;
+                const li = indexOfLabel[label];
+                if (li < 0) continue;
+
+                const a = acc[li];
+                a.voxels.push(idx);
+                if (x < a.min[0]) a.min[0] = x;
+                if (y < a.min[1]) a.min[1] = y;
+                if (z < a.min[2]) a.min[2] = z;
+                if (x > a.max[0]) a.max[0] = x;
+                if (y > a.max[1]) a.max[1] = y;
+                if (z > a.max[2]) a.max[2] = z;
+
+                const mx = x * px, my = y * py, mz = z * pz;
+                a.sum[0] += mx; a.sum[1] += my; a.sum[2] += mz;
+                a.sq[0] += mx * mx; a.sq[1] += my * my; a.sq[2] += mz * mz;
+                a.sq[3] += mx * my; a.sq[4] += mx * mz; a.sq[5] += my * mz;
+
+                if (x === 0 || labeledMask[idx - 1] !== label) a.faces[0]++;
+                if (x === width - 1 || labeledMask[idx + 1] !== label) a.faces[0]++;
+                if (y === 0 || labeledMask[idx - width] !== label) a.faces[1]++;
+                if (y === height - 1 || labeledMask[idx + width] !== label) a.faces[1]++;
+                if (z === 0 || labeledMask[idx - slice] !== label) a.faces[2]++;
+                if (z === depth - 1 || labeledMask[idx + slice] !== label) a.faces[2]++;
+            }
+        }
+    }
+
+    const metrics = acc.map(a => {
+        const n = a.voxels.length;
+        if (n === 0) return null;
+
+        const volumeMm3 = n * px * py * pz;
+        const surfaceMm2 = a.faces[0] * py * pz + a.faces[1] * px * pz + a.faces[2] * px * py;
+        const centroidMm = a.sum.map(s => s / n);
+
+        const [cx, cy, cz] = centroidMm;
+        const [e1, e2] = symmetricEigenvalues(
+            a.sq[0] / n - cx * cx, a.sq[1] / n - cy * cy, a.sq[2] / n - cz * cz,
+            a.sq[3] / n - cx * cy, a.sq[4] / n - cx * cz, a.sq[5] / n - cy * cz
+        );
+
+        const intensity = {};
+        METRIC_MODALITIES.forEach(({ key }) => {
+            if (volumes[key]) intensity[key] = intensityStats(volumes[key], a.voxels);
+        });
+
+        return {
+            volumeMl: volumeMm3 / 1000,
+            bboxMin: a.min,
+            bboxMax: a.max,
+            extentMm: [0, 1, 2].map(k => (a.max[k] - a.min[k] + 1) * pixDims[k]),
+            surfaceMm2,
+            sphericity: (Math.cbrt(Math.PI) * Math.pow(6 * volumeMm3, 2 / 3)) / surfaceMm2,
+            elongation: e1 > 1e-9 ? Math.sqrt(Math.max(0, e2) / e1) : null,
+            intensity,
+            centroidMm,
+            nearestLesion: null,
+            nearestDistanceMm: null
+        };
+    });
+
+    return assignNearestLesions(metrics);
+};
+
+// Fill nearestLesion / nearestDistanceMm (centroid to centroid) in place. Exported so
+// the list can be refreshed after editing a few lesions without recomputing the rest.
+export const assignNearestLesions = (metrics) => {
+    metrics.forEach((m, i) => {
+        if (!m) return;
+        m.nearestLesion = null;
+        m.nearestDistanceMm = null;
+        metrics.forEach((o, j) => {
+            if (!o || i === j) return;
+            const dist = Math.hypot(m.centroidMm[0] - o.centroidMm[0], m.centroidMm[1] - o.centroidMm[1], m.centroidMm[2] - o.centroidMm[2]);
+            if (m.nearestDistanceMm === null || dist < m.nearestDistanceMm) {
+                m.nearestDistanceMm = dist;
+                m.nearestLesion = j;
+            }
+        });
+    });
+    return metrics;
+};
+
+const fmt = (val, digits) => (val === null || val === undefined || Number.isNaN(val)) ? 'n/a' : val.toFixed(digits);
+
+// Human-readable summary lines for reports
+export const describeLesionMetrics = (m) => {
+    const [ex, ey, ez] = m.extentMm;
+    const lines = [
+        `Extent: ${fmt(ex, 1)} (R-L) x ${fmt(ey, 1)} (A-P) x ${fmt(ez, 1)} (S-I) mm`,
+        `Sphericity: ${fmt(m.sphericity, 2)} | Elongation: ${fmt(m.elongation, 2)}`,
+        m.nearestLesion !== null
+            ? `Nearest lesion: ${m.nearestLesion + 1} at ${fmt(m.nearestDistanceMm, 1)} mm`
+            : 'Nearest lesion: none',
+    ];
+    METRIC_MODALITIES.forEach(({ key, label }) => {
+        const s = m.intensity[key];
+        if (s) lines.push(`${label}: mean ${fmt(s.mean, 2)}, median ${fmt(s.median, 2)}, SD ${fmt(s.sd, 2)}`);
+    });
+    return lines;
+};
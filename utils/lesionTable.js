@@ -0,0 +1,112 @@
+import { voxelToWorld } from './niftiLoader';
+import { displayToSourceVoxel } from './orientation';
+
+// Per-lesion ratings table (CSV/TSV) for downstream analysis in R/pandas.
+//
+// The column names below are a stable interface: existing columns are never renamed,
+// removed or reordered between releases. New columns are only appended at the end
+// and TABLE_VERSION is bumped. The same descriptions are written to a JSON data
+// dictionary next to every exported table.
+export const TABLE_VERSION = 2;
+
+export const LESION_TABLE_COLUMNS = [
+    { name: 'subject_id', description: 'BIDS subject label (sub-XX)' },
+    { name: 'rater_id', description: 'Rater name or initials entered in the app' },
+    { name: 'lesion_index', description: '1-based lesion number as shown in the viewer (lesions sorted by volume, largest first)' },
+    { name: 'lesion_label', description: 'Integer label of the lesion in the connected-component map' },
+    { name: 'centroid_i', description: 'Centroid voxel index along the first axis of the FLAIRSTAR file', units: 'voxel' },
+    { name: 'centroid_j', description: 'Centroid voxel index along the second axis of the FLAIRSTAR file', units: 'voxel' },
+    { name: 'centroid_k', description: 'Centroid voxel index along the third axis of the FLAIRSTAR file', units: 'voxel' },
+    { name: 'centroid_x', description: 'Centroid scanner x coordinate from the NIfTI affine', units: 'mm' },
+    { name: 'centroid_y', description: 'Centroid scanner y coordinate from the NIfTI affine', units: 'mm' },
+    { name: 'centroid_z', description: 'Centroid scanner z coordinate from the NIfTI affine', units: 'mm' },
+    { name: 'voxel_count', description: 'Number of voxels in the lesion', units: 'voxel' },
+    { name: 'volume_ml', description: 'Lesion volume (voxel_count x voxel volume from pixdim)', units: 'ml' },
+    { name: 'cvs_likelihood', description: 'Rater CVS likelihood between 0 and 1; empty if not rated' },
+    { name: 'cvs_positive', description: '1 if cvs_likelihood >= 0.5, 0 if rated below, empty if not rated' },
+    { name: 'prl', description: '1 if marked as paramagnetic rim lesion, else 0' },
+    { name: 'view_moved', description: '1 if the rater moved the view away from the lesion centroid, else 0' },
+    // TableVersion 2
+    { name: 'cvs_excluded', description: '1 if the lesion is excluded from CVS assessment (NAIMS criteria), else 0' },
+    { name: 'exclusion_reason', description: 'small, confluent, multipleVeins or poorlyVisualized; empty if not excluded' },
+    { name: 'exclusion_auto', description: '1 if the exclusion was flagged automatically (diameter below threshold), 0 if set by the rater; empty if not excluded' },
+    { name: 'rater_added', description: '1 if the rater added the lesion (missed by the segmentation), else 0' },
+    { name: 'session_id', description: 'BIDS session label (ses-XX); empty if the data has no session' },
+];
+
+const fmt = (val, digits) => (val === null || val === undefined || Number.isNaN(val)) ? '' : Number(val).toFixed(digits);
+
+// One row object per lesion, keyed by column name.
+// Lesion centroids are in the RAS display frame; `orientation` maps them back to file voxels.
+// `exclusions` holds the effective { reason, auto } per lesion (utils/cvsCriteria.js).
+export const buildLesionRows = ({ subjectId, sessionLabel, raterName, lesions, pixDims, affine, orientation, lesionScores, lesionPRL, lesionCoords, exclusions = [] }) => {
+    const voxelMl = (pixDims[0] * pixDims[1] * pixDims[2]) / 1000;
+
+    return lesions.map((l, idx) => {
+        const [wx, wy, wz] = voxelToWorld(affine, l.x, l.y, l.z);
+        const [ci, cj, ck] = orientation
+            ? displayToSourceVoxel([l.x, l.y, l.z], orientation.srcDims, orientation.transform)
+            : [l.x, l.y, l.z];
+        const score = lesionScores[idx];
+        const rated = score !== undefined && score !== null;
+        const view = lesionCoords[idx];
+        const moved = !!view && (view.x !== l.x || view.y !== l.y || view.z !== l.z);
+        const exclusion = exclusions[idx];
+        const excluded = !!exclusion?.reason;
+
+        return {
+            subject_id: subjectId || '',
+            rater_id: raterName || '',
+            lesion_index: idx + 1,
+            lesion_label: l.id,
+            centroid_i: ci,
+            centroid_j: cj,
+            centroid_k: ck,
+            centroid_x: fmt(wx, 2),
+            centroid_y: fmt(wy, 2),
+            centroid_z: fmt(wz, 2),
+            voxel_count: l.volume,
+            volume_ml: fmt(l.volume * voxelMl, 4),
+            cvs_likelihood: rated ? fmt(score, 2) : '',
+            cvs_positive: rated ? (score >= 0.5 ? 1 : 0) : '',
+            prl: lesionPRL[idx] ? 1 : 0,
+            view_moved: moved ? 1 : 0,
+            cvs_excluded: excluded ? 1 : 0,
+            exclusion_reason: excluded ? exclusion.reason : '',
+            exclusion_auto: excluded ? (exclusion.auto ? 1 : 0) : '',
+            rater_added: l.added ? 1 : 0,
+            session_id: sessionLabel || '',
+        };
+    });
+};
+
+const escapeCell = (value, delimiter) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    if (delimiter === '\t') {
+        return str.replace(/[\t\r\n]+/g, ' ');
+    }
+    // CSV (RFC 4180): quote cells containing the delimiter, quotes or newlines
+    if (str.includes(delimiter) || str.includes('"') || /[\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+// Serialize row objects to CSV (',') or TSV ('\t') text with a header line
+export const formatTable = (rows, columns, delimiter = ',') => {
+    const names = columns.map(c => c.name);
+    const lines = [names.join(delimiter)];
+    rows.forEach(row => {
+        lines.push(names.map(n => escapeCell(row[n], delimiter)).join(delimiter));
+    });
+    return lines.join('\n') + '\n';
+};
+
+// BIDS-style data dictionary describing each column
+export const buildColumnDictionary = (columns, version = TABLE_VERSION) => {
+    const dict = { TableVersion: version };
+    columns.forEach(c => {
+        dict[c.name] = c.units ? { Description: c.description, Units: c.units } : { Description: c.description };
+    });
+    return dict;
+};
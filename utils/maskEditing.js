@@ -0,0 +1,289 @@
+// Editing of the labeled lesion mask (volumes.lesion, RAS display frame).
+//
+// Every operation mutates the mask in place and returns a sparse diff
+// { indices, before, after } so it can be undone/redone without copying the volume.
+// Lesion centroids and volumes are then re-measured for the affected labels only
+// (measureLabels) instead of rerunning findConnectedComponents.
+
+// Collects voxel changes; each voxel keeps its first `before` value
+const createDiffBuilder = (mask) => {
+    const seen = new Map(); // voxel index -> before
+    return {
+        set: (idx, label) => {
+            if (mask[idx] === label) return;
+            if (!seen.has(idx)) seen.set(idx, mask[idx]);
+            mask[idx] = label;
+        },
+        build: () => {
+            const indices = new Int32Array(seen.size);
+            const before = new Int32Array(seen.size);
+            const after = new Int32Array(seen.size);
+            let n = 0;
+            seen.forEach((prev, idx) => {
+                indices[n] = idx;
+                before[n] = prev;
+                after[n] = mask[idx];
+                n++;
+            });
+            return { indices, before, after };
+        }
+    };
+};
+
+export const isEmptyDiff = (diff) => !diff || diff.indices.length === 0;
+
+// Concatenate diffs of one stroke; the earliest `before` wins for repeated voxels
+export const mergeDiffs = (diffs) => {
+    const before = new Map();
+    const after = new Map();
+    diffs.forEach(d => {
+        for (let n = 0; n < d.indices.length; n++) {
+            const idx = d.indices[n];
+            if (!before.has(idx)) before.set(idx, d.before[n]);
+            after.set(idx, d.after[n]);
+        }
+    });
+    const indices = Int32Array.from(before.keys());
+    return {
+        indices,
+        before: Int32Array.from(indices, idx => before.get(idx)),
+        after: Int32Array.from(indices, idx => after.get(idx)),
+    };
+};
+
+// Net change of a sequence of diffs (e.g. the undo stack): voxels painted and erased
+// again drop out
+export const netDiff = (diffs) => {
+    const merged = mergeDiffs(diffs);
+    const keep = [];
+    for (let n = 0; n < merged.indices.length; n++) {
+        if (merged.before[n] !== merged.after[n]) keep.push(n);
+    }
+    return {
+        indices: Int32Array.from(keep, n => merged.indices[n]),
+        before: Int32Array.from(keep, n => merged.before[n]),
+        after: Int32Array.from(keep, n => merged.after[n]),
+    };
+};
+
+// Compact JSON form of a diff for session files: flat [start, length, before, after, ...]
+// runs of consecutive voxels with the same change
+export const encodeDiff = (diff) => {
+    const order = Array.from(diff.indices.keys()).sort((a, b) => diff.indices[a] - diff.indices[b]);
+    const runs = [];
+    order.forEach(n => {
+        const idx = diff.indices[n];
+        const last = runs.length - 4;
+        if (last >= 0 && runs[last] + runs[last + 1] === idx && runs[last + 2] === diff.before[n] && runs[last + 3] === diff.after[n]) {
+            runs[last + 1]++;
+        } else {
+            runs.push(idx, 1, diff.before[n], diff.after[n]);
+        }
+    });
+    return runs;
+};
+
+export const decodeDiff = (runs) => {
+    let size = 0;
+    for (let r = 0; r < runs.length; r += 4) size += runs[r + 1];
+    const diff = { indices: new Int32Array(size), before: new Int32Array(size), after: new Int32Array(size) };
+    let n = 0;
+    for (let r = 0; r < runs.length; r += 4) {
+        for (let k = 0; k < runs[r + 1]; k++, n++) {
+            diff.indices[n] = runs[r] + k;
+            diff.before[n] = runs[r + 2];
+            diff.after[n] = runs[r + 3];
+        }
+    }
+    return diff;
+};
+
+// Whether the mask holds the diff's `before` values, i.e. the diff can be redone on it
+export const diffFitsMask = (mask, diff) => {
+    for (let n = 0; n < diff.indices.length; n++) {
+        const idx = diff.indices[n];
+        if (idx < 0 || idx >= mask.length || mask[idx] !== diff.before[n]) return false;
+    }
+    return true;
+};
+
+// direction: 'undo' writes the before values, 'redo' the after values
+export const applyDiff = (mask, diff, direction) => {
+    const values = direction === 'undo' ? diff.before : diff.after;
+    for (let n = 0; n < diff.indices.length; n++) mask[diff.indices[n]] = values[n];
+};
+
+// Labels touched by a diff (excluding background)
+export const diffLabels = (diff) => {
+    const labels = new Set();
+    for (let n = 0; n < diff.indices.length; n++) {
+        if (diff.before[n] > 0) labels.add(diff.before[n]);
+        if (diff.after[n] > 0) labels.add(diff.after[n]);
+    }
+    return labels;
+};
+
+// Brush at a voxel: a disc in the view plane (mode '2d', normal along `axis`) or a sphere ('3d').
+// radiusMm uses pixDims, so anisotropic voxels get an anisotropic voxel footprint.
+// Painting only fills background and the painted label; erasing clears any label.
+export const applyBrush = (mask, dims, pixDims, center, { radiusMm, mode, axis, label, erase }) => {
+    const [width, height, depth] = dims;
+    const diff = createDiffBuilder(mask);
+    const r = [0, 1, 2].map(k => Math.floor(radiusMm / pixDims[k]));
+    if (mode === '2d') r[{ x: 0, y: 1, z: 2 }[axis]] = 0;
+
+    const c = [center.x, center.y, center.z];
+    const r2 = radiusMm * radiusMm;
+    for (let dz = -r[2]; dz <= r[2]; dz++) {
+        const z = c[2] + dz;
+        if (z < 0 || z >= depth) continue;
+        for (let dy = -r[1]; dy <= r[1]; dy++) {
+            const y = c[1] + dy;
+            if (y < 0 || y >= height) continue;
+            for (let dx = -r[0]; dx <= r[0]; dx++) {
+                const x = c[0] + dx;
+                if (x < 0 || x >= width) continue;
+                const d2 = (dx * pixDims[0]) ** 2 + (dy * pixDims[1]) ** 2 + (dz * pixDims[2]) ** 2;
+                if (d2 > r2) continue;
+
+                const idx = x + y * width + z * width * height;
+                if (erase) {
+                    diff.set(idx, 0);
+                } else if (mask[idx] === 0 || mask[idx] === label) {
+                    diff.set(idx, label);
+                }
+            }
+        }
+    }
+    return diff.build();
+};
+
+// Relabel every voxel of `fromLabel` (0 deletes the lesion)
+export const relabel = (mask, fromLabel, toLabel) => {
+    const diff = createDiffBuilder(mask);
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i] === fromLabel) diff.set(i, toLabel);
+    }
+    return diff.build();
+};
+
+// Split a lesion with a cut line drawn in a view. The line is extruded along the view
+// axis; voxels of `label` on its right-hand side (as drawn) get `newLabel`.
+// p0/p1 are in-plane positions { h, v } (horizontal index, vertical index with up positive).
+export const splitByLine = (mask, dims, label, axis, p0, p1, newLabel) => {
+    const [width, height] = dims;
+    const diff = createDiffBuilder(mask);
+    const dh = p1.h - p0.h;
+    const dv = p1.v - p0.v;
+    if (dh === 0 && dv === 0) return diff.build();
+
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i] !== label) continue;
+        const z = Math.floor(i / (width * height));
+        const rem = i % (width * height);
+        const y = Math.floor(rem / width);
+        const x = rem % width;
+        const [h, v] = axis === 'x' ? [y, z] : axis === 'y' ? [x, z] : [x, y];
+
+        // Cross product sign (v increases upwards on screen, so negative = right-hand side)
+        const cross = dh * (v - p0.v) - dv * (h - p0.h);
+        if (cross < 0) diff.set(i, newLabel);
+    }
+    return diff.build();
+};
+
+// Region growing for a lesion the mask missed: 6-connected flood fill from the seed over
+// background voxels with image >= threshold, limited to maxRadiusMm around the seed so
+// a low threshold cannot leak into the whole white matter. Returns null if the seed
+// itself is below the threshold or already labeled.
+export const growRegion = (mask, dims, pixDims, image, seed, { threshold, maxRadiusMm }, label) => {
+    const [width, height, depth] = dims;
+    const slice = width * height;
+    const seedIdx = seed.x + seed.y * width + seed.z * slice;
+    if (mask[seedIdx] !== 0 || !(image[seedIdx] >= threshold)) return null;
+
+    const diff = createDiffBuilder(mask);
+    const r2 = maxRadiusMm * maxRadiusMm;
+    const stack = [seedIdx];
+    diff.set(seedIdx, label);
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        const z = Math.floor(idx / slice);
+        const y = Math.floor((idx % slice) / width);
+        const x = idx % width;
+        const neighbors = [
+            x > 0 ? idx - 1 : -1, x < width - 1 ? idx + 1 : -1,
+            y > 0 ? idx - width : -1, y < height - 1 ? idx + width : -1,
+            z > 0 ? idx - slice : -1, z < depth - 1 ? idx + slice : -1,
+        ];
+        for (const n of neighbors) {
+            if (n < 0 || mask[n] !== 0 || !(image[n] >= threshold)) continue;
+            const nz = Math.floor(n / slice);
+            const ny = Math.floor((n % slice) / width);
+            const nx = n % width;
+            const d2 = ((nx - seed.x) * pixDims[0]) ** 2 + ((ny - seed.y) * pixDims[1]) ** 2 + ((nz - seed.z) * pixDims[2]) ** 2;
+            if (d2 > r2) continue;
+            diff.set(n, label);
+            stack.push(n);
+        }
+    }
+    return diff.build();
+};
+
+// Centroid and voxel count of the given labels, in a single pass over the mask.
+// Returns Map label -> { x, y, z, volume }; labels with no voxels left are absent.
+export const measureLabels = (mask, dims, labels) => {
+    const [width, height] = dims;
+    const slice = width * height;
+    let maxLabel = 0;
+    labels.forEach(l => { if (l > maxLabel) maxLabel = l; });
+    const wanted = new Uint8Array(maxLabel + 1);
+    labels.forEach(l => { if (l > 0) wanted[l] = 1; });
+
+    const acc = new Map();
+    for (let i = 0; i < mask.length; i++) {
+        const l = mask[i];
+        if (l <= 0 || l > maxLabel || !wanted[l]) continue;
+        let a = acc.get(l);
+        if (!a) {
+            a = { x: 0, y: 0, z: 0, count: 0 };
+            acc.set(l, a);
+        }
+        a.x += i % width;
+        a.y += Math.floor((i % slice) / width);
+        a.z += Math.floor(i / slice);
+        a.count++;
+    }
+
+    const result = new Map();
+    acc.forEach((a, l) => {
+        result.set(l, {
+            x: Math.round(a.x / a.count),
+            y: Math.round(a.y / a.count),
+            z: Math.round(a.z / a.count),
+            volume: a.count
+        });
+    });
+    return result;
+};
+
+// Next unused label for a new lesion
+export const nextLabel = (mask, lesions) => {
+    let max = 0;
+    lesions.forEach(l => { if (l.id > max) max = l.id; });
+    for (let i = 0; i < mask.length; i++) if (mask[i] > max) max = mask[i];
+    return max + 1;
+};
+
+// Re-key an index-keyed map after removing lesion indices (later indices shift down)
+export const removeIndices = (map, removed) => {
+    const sorted = [...removed].sort((a, b) => a - b);
+    const shift = (idx) => idx - sorted.filter(r => r < idx).length;
+    const out = {};
+    Object.keys(map).forEach(key => {
+        const idx = Number(key);
+        if (removed.has(idx)) return;
+        out[shift(idx)] = map[key];
+    });
+    return out;
+};
@@ -0,0 +1,121 @@
+// Rules that assign scanned files to the modality slots of a subject/session, based on
+// BIDS entities of the file name (sub-01_ses-01_acq-x_part-mag_T2starw.nii.gz).
+//
+// Each rule field holds comma-separated accepted values; an empty field accepts anything
+// and 'none' accepts a file without that entity. Values compare case-insensitively.
+// Slots are tried in RULE_SLOTS order and the first matching rule wins.
+//
+// With `legacyFallback`, a file no rule matches is assigned by the name patterns of earlier
+// versions (matchLegacySlot), so folders such as sub-01/sub-01_lesion_mask.nii.gz still scan.
+
+export const RULE_SLOTS = ['flairStar', 'lesion', 'swi', 'phase', 'flair'];
+export const RULE_FIELDS = ['suffix', 'desc', 'space', 'part', 'acq'];
+
+const NIFTI_EXTENSION = /\.nii(\.gz)?$/i;
+const STORAGE_KEY = 'cvsview.matchingRules';
+
+const rule = (fields) => ({ suffix: '', desc: '', space: '', part: '', acq: '', ...fields });
+
+export const RULE_PRESETS = [
+    {
+        id: 'cvsview',
+        label: 'CvsView default',
+        legacyFallback: true,
+        slots: {
+            flairStar: rule({ suffix: 'FLAIRSTAR' }),
+            lesion: rule({ suffix: 'mask', desc: 'lesion' }),
+            swi: rule({ suffix: 'swi', part: 'none' }),
+            phase: rule({ suffix: 'swi', part: 'phase' }),
+            flair: rule({ suffix: 'FLAIR', space: 'swi' }),
+        }
+    },
+    {
+        id: 't2starw',
+        label: 'T2starw, part-mag/phase, desc-lesionmask',
+        legacyFallback: false,
+        slots: {
+            flairStar: rule({ suffix: 'FLAIRSTAR' }),
+            lesion: rule({ desc: 'lesionmask,lesion' }),
+            swi: rule({ suffix: 'T2starw,swi', part: 'mag,none' }),
+            phase: rule({ suffix: 'T2starw,swi', part: 'phase' }),
+            flair: rule({ suffix: 'FLAIR', space: 'swi' }),
+        }
+    },
+];
+
+export const DEFAULT_MATCHING_RULES = { preset: 'cvsview', legacyFallback: true, slots: RULE_PRESETS[0].slots };
+
+export const isNiftiName = (name) => NIFTI_EXTENSION.test(name || '');
+
+// Entities and suffix of a BIDS-style file name, e.g.
+// "sub-01_part-phase_swi.nii.gz" -> { entities: { sub: '01', part: 'phase' }, suffix: 'swi' }
+export const parseBidsName = (name) => {
+    const base = isNiftiName(name) ? name.replace(NIFTI_EXTENSION, '') : (name || '').replace(/\.[^.]*$/, '');
+    const tokens = base.split('_').filter(Boolean);
+    const entities = {};
+    let suffix = '';
+    tokens.forEach((token, i) => {
+        const dash = token.indexOf('-');
+        if (dash > 0) {
+            entities[token.slice(0, dash)] = token.slice(dash + 1);
+        } else if (i === tokens.length - 1) {
+            suffix = token;
+        }
+    });
+    return { entities, suffix };
+};
+
+const fieldMatches = (pattern, value) => {
+    const accepted = (pattern || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    if (accepted.length === 0) return true;
+    if (!value) return accepted.includes('none');
+    return accepted.includes(value.toLowerCase());
+};
+
+// A rule with no fields set would match every file, so it matches nothing instead
+const ruleMatches = (slotRule, parsed) => {
+    if (!slotRule || RULE_FIELDS.every(f => !(slotRule[f] || '').trim())) return false;
+    return RULE_FIELDS.every(f => fieldMatches(slotRule[f], f === 'suffix' ? parsed.suffix : parsed.entities[f]));
+};
+
+// Substring patterns of the original folder scan, in its order
+export const matchLegacySlot = (name) => {
+    if (!isNiftiName(name)) return null;
+    if (name.includes('FLAIRSTAR')) return 'flairStar';
+    if (name.includes('lesion_mask')) return 'lesion';
+    if (/_swi\.nii(\.gz)?$/.test(name) && !name.includes('phase') && !name.includes('mag')) return 'swi';
+    if (name.includes('phase')) return 'phase';
+    if (name.includes('FLAIR') && name.includes('space-swi')) return 'flair';
+    return null;
+};
+
+// Slot of a NIfTI file name under the given rules, or null
+export const matchFileSlot = (name, rules) => {
+    if (!isNiftiName(name)) return null;
+    const parsed = parseBidsName(name);
+    const slot = RULE_SLOTS.find(slot => ruleMatches(rules.slots[slot], parsed)) || null;
+    return slot || (rules.legacyFallback ? matchLegacySlot(name) : null);
+};
+
+// Rules saved in this browser, or the default preset
+export const loadMatchingRules = () => {
+    try {
+        const saved = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(STORAGE_KEY)) : null;
+        if (saved?.slots) {
+            const slots = {};
+            RULE_SLOTS.forEach(slot => { slots[slot] = rule(saved.slots[slot]); });
+            return { preset: saved.preset || null, legacyFallback: saved.legacyFallback ?? true, slots };
+        }
+    } catch (e) {
+        console.warn("Could not read saved matching rules:", e);
+    }
+    return DEFAULT_MATCHING_RULES;
+};
+
+export const saveMatchingRules = (rules) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } catch (e) {
+        console.warn("Could not save matching rules:", e);
+    }
+};
@@ -50,7 +50,35 @@ export const loadNifti = (arrayBuffer) => {
             data: typedData,
             dims: header.dims.slice(1, 4), // [x, y, z]
             pixDims: header.pixDims.slice(1, 4), // [dx, dy, dz]
+            affine: header.affine, // 4x4 voxel -> scanner (mm) from qform/sform
         };
     }
     return null;
 };
+
+// Map a voxel index (i, j, k) to scanner coordinates (mm) with a 4x4 affine
+export const voxelToWorld = (affine, i, j, k) => {
+    if (!affine) return [i, j, k];
+    return [0, 1, 2].map(r => affine[r][0] * i + affine[r][1] * j + affine[r][2] * k + affine[r][3]);
+};
+
+// Read only the header of a NIfTI File/Blob. For .nii.gz only the first bytes are
+// decompressed, so grids can be checked before reading whole volumes.
+export const readNiftiHeaderFromFile = async (file) => {
+    const HEADER_BYTES = 256 * 1024;
+    let header;
+    try {
+        header = await nifti.readHeaderAsync(await file.slice(0, HEADER_BYTES).arrayBuffer());
+    } catch (e) {
+        // Truncated gzip streams can fail to decode; fall back to the whole file
+        header = await nifti.readHeaderAsync(await file.arrayBuffer());
+    }
+    if (!header) throw new Error(`${file.name} is not a NIfTI file`);
+
+    return {
+        header,
+        dims: header.dims.slice(1, 4),
+        pixDims: header.pixDims.slice(1, 4),
+        affine: header.affine,
+    };
+};
@@ -0,0 +1,65 @@
+import * as nifti from 'nifti-reader-js';
+
+// Supported output datatypes (NIfTI datatype code -> bits per voxel / typed array)
+const DATATYPES = {
+    2: { bits: 8, ArrayType: Uint8Array },      // uint8
+    4: { bits: 16, ArrayType: Int16Array },     // int16
+    8: { bits: 32, ArrayType: Int32Array },     // int32
+    16: { bits: 32, ArrayType: Float32Array },  // float32
+};
+
+// Write a single-volume .nii using a loaded header as template, so dims, pixdims
+// and the qform/sform affine are identical to the source image.
+export const writeNifti = (templateHeader, data, { datatypeCode = 16, description } = {}) => {
+    const type = DATATYPES[datatypeCode];
+    if (!type) throw new Error(`Unsupported NIfTI datatype ${datatypeCode}`);
+
+    const [, dimX, dimY, dimZ] = templateHeader.dims;
+    if (data.length !== dimX * dimY * dimZ) {
+        throw new Error(`Data length ${data.length} does not match header dims ${dimX}x${dimY}x${dimZ}`);
+    }
+
+    // Shallow copy keeps the NIFTI1/NIFTI2 prototype (and its toArrayBuffer)
+    const header = Object.assign(Object.create(Object.getPrototypeOf(templateHeader)), templateHeader);
+    header.dims = templateHeader.dims.slice();
+    header.dims[0] = 3;
+    header.dims[4] = 1;
+    header.datatypeCode = datatypeCode;
+    header.numBitsPerVoxel = type.bits;
+    header.scl_slope = 1;
+    header.scl_inter = 0;
+    header.cal_min = 0;
+    header.cal_max = 0;
+    header.littleEndian = true; // typed arrays below are written little-endian
+    header.extensions = [];
+    header.intent_code = 0;
+    header.intent_name = '';
+    if (description !== undefined) header.description = description.slice(0, 79);
+    if (header.isHDR) {
+        header.magic = header instanceof nifti.NIFTI2 ? 'n+2' : 'n+1';
+        header.isHDR = false;
+    }
+
+    // Image data starts right after the header and the 4 extension bytes
+    const headerSize = header.toArrayBuffer(false).byteLength;
+    header.vox_offset = headerSize;
+    const headerBytes = new Uint8Array(header.toArrayBuffer(false));
+
+    const typed = data instanceof type.ArrayType ? data : type.ArrayType.from(data);
+    const imageBytes = new Uint8Array(typed.buffer, typed.byteOffset, typed.byteLength);
+
+    const out = new Uint8Array(headerSize + imageBytes.byteLength);
+    out.set(headerBytes, 0);
+    out.set(imageBytes, headerSize);
+    return out.buffer;
+};
+
+// Gzip a buffer with the browser's native CompressionStream (for .nii.gz)
+export const gzip = async (buffer) => {
+    const stream = new Blob([buffer]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+};
+
+export const writeNiftiGz = async (templateHeader, data, options) => {
+    return gzip(writeNifti(templateHeader, data, options));
+};
@@ -0,0 +1,140 @@
+// Scan-to-world orientation handling.
+//
+// Volumes are reoriented (axis permutation + flips only, no resampling) into a
+// canonical RAS display frame: voxel x increases to the Right, y to Anterior and
+// z to Superior. The viewers can then assume fixed anatomical directions, and the
+// updated affine still maps every display voxel to the same scanner position.
+
+const POSITIVE = ['R', 'A', 'S'];
+const NEGATIVE = ['L', 'P', 'I'];
+
+// For each world axis (R, A, S), find the voxel axis that points along it most closely.
+// Greedy assignment on the largest remaining component keeps the mapping one-to-one
+// even for strongly oblique acquisitions.
+export const getRasTransform = (affine) => {
+    const perm = [-1, -1, -1];
+    const flip = [false, false, false];
+    if (!affine) return { perm: [0, 1, 2], flip, obliqueDeg: 0 };
+
+    const usedWorld = new Set();
+    const usedVoxel = new Set();
+    for (let n = 0; n < 3; n++) {
+        let best = -1;
+        let bestW = -1;
+        let bestV = -1;
+        for (let w = 0; w < 3; w++) {
+            if (usedWorld.has(w)) continue;
+            for (let v = 0; v < 3; v++) {
+                if (usedVoxel.has(v)) continue;
+                const mag = Math.abs(affine[w][v]);
+                if (mag > best) { best = mag; bestW = w; bestV = v; }
+            }
+        }
+        usedWorld.add(bestW);
+        usedVoxel.add(bestV);
+        perm[bestW] = bestV;
+        flip[bestW] = affine[bestW][bestV] < 0;
+    }
+
+    // Largest angle between a voxel axis and the world axis it was assigned to
+    let obliqueDeg = 0;
+    for (let w = 0; w < 3; w++) {
+        const v = perm[w];
+        const norm = Math.hypot(affine[0][v], affine[1][v], affine[2][v]) || 1;
+        const angle = Math.acos(Math.min(1, Math.abs(affine[w][v]) / norm)) * 180 / Math.PI;
+        obliqueDeg = Math.max(obliqueDeg, angle);
+    }
+
+    return { perm, flip, obliqueDeg };
+};
+
+// Orientation code of the source voxel axes, e.g. "LAS" or "RPI"
+export const axisCodes = (transform) => {
+    const codes = ['?', '?', '?'];
+    transform.perm.forEach((v, w) => {
+        codes[v] = transform.flip[w] ? NEGATIVE[w] : POSITIVE[w];
+    });
+    return codes.join('');
+};
+
+export const isIdentityTransform = ({ perm, flip }) =>
+    perm[0] === 0 && perm[1] === 1 && perm[2] === 2 && !flip[0] && !flip[1] && !flip[2];
+
+// Inverse mapping, used to write display-frame data back into the source grid
+export const invertTransform = ({ perm, flip }) => {
+    const inv = { perm: [0, 0, 0], flip: [false, false, false] };
+    perm.forEach((v, k) => {
+        inv.perm[v] = k;
+        inv.flip[v] = flip[k];
+    });
+    return inv;
+};
+
+export const reorientDims = (srcDims, { perm }) => perm.map(p => srcDims[p]);
+
+// Permute/flip a volume. Output axis k is source axis perm[k], reversed if flip[k].
+export const reorientVolume = (data, srcDims, transform) => {
+    if (!data || isIdentityTransform(transform)) return data;
+
+    const { perm, flip } = transform;
+    const outDims = reorientDims(srcDims, transform);
+    const srcStrides = [1, srcDims[0], srcDims[0] * srcDims[1]];
+
+    // Source offset contributed by each output axis position
+    const offsets = outDims.map((n, k) => {
+        const arr = new Int32Array(n);
+        const stride = srcStrides[perm[k]];
+        for (let i = 0; i < n; i++) arr[i] = (flip[k] ? n - 1 - i : i) * stride;
+        return arr;
+    });
+
+    const [ox, oy, oz] = offsets;
+    const out = new data.constructor(data.length);
+    let o = 0;
+    for (let z = 0; z < outDims[2]; z++) {
+        for (let y = 0; y < outDims[1]; y++) {
+            const base = oy[y] + oz[z];
+            for (let x = 0; x < outDims[0]; x++) {
+                out[o++] = data[base + ox[x]];
+            }
+        }
+    }
+    return out;
+};
+
+// Affine of the reoriented grid: maps display voxels to the same scanner positions
+export const reorientAffine = (affine, srcDims, { perm, flip }) => {
+    // source voxel = M * display voxel + c
+    const M = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const c = [0, 0, 0];
+    perm.forEach((p, k) => {
+        M[p][k] = flip[k] ? -1 : 1;
+        c[p] = flip[k] ? srcDims[p] - 1 : 0;
+    });
+
+    const out = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 1]];
+    for (let r = 0; r < 3; r++) {
+        for (let k = 0; k < 3; k++) {
+            out[r][k] = affine[r][0] * M[0][k] + affine[r][1] * M[1][k] + affine[r][2] * M[2][k];
+        }
+        out[r][3] = affine[r][0] * c[0] + affine[r][1] * c[1] + affine[r][2] * c[2] + affine[r][3];
+    }
+    return out;
+};
+
+// Display voxel (RAS grid) -> voxel index in the source file
+export const displayToSourceVoxel = (point, srcDims, { perm, flip }) => {
+    const src = [0, 0, 0];
+    perm.forEach((p, k) => {
+        src[p] = flip[k] ? srcDims[p] - 1 - point[k] : point[k];
+    });
+    return src;
+};
+
+// Anatomical direction at each edge of a view, given the RAS display frame and the
+// viewer's conventions (horizontal index left-to-right, vertical index bottom-to-top)
+export const viewOrientationLabels = (axis) => {
+    if (axis === 'x') return { left: 'P', right: 'A', top: 'S', bottom: 'I' }; // Sagittal
+    if (axis === 'y') return { left: 'L', right: 'R', top: 'S', bottom: 'I' }; // Coronal
+    return { left: 'L', right: 'R', top: 'A', bottom: 'P' }; // Axial
+};
@@ -1,8 +1,103 @@
+import { viewOrientationLabels } from './orientation';
+import { colorMapLut, hexToRgb, drawColorBar, DEFAULT_OVERLAY } from './colorMaps';
+
+const windowLevel = (val, windowMin, range) => {
+    const level = Math.round(((val - windowMin) / range) * 255);
+    return level > 255 ? 255 : level > 0 ? level : 0;
+};
+
+// Fill RGBA `data` for the region `view` of a slice: windowed intensities through the
+// colour map, the optional fusion of a second modality, then the lesion overlay (outline
+// or filled, current lesion in its own colour). Shared by SliceViewer and renderSliceToDataURL.
+//
+// fusion: { volData, windowMin, windowMax, colorMap, opacity, mode, checkerSize, swipe } or null
+// - blend: secondary mixed in with `opacity`
+// - checkerboard: alternating squares of `checkerSize` voxels (fixed to the slice, not the screen)
+// - swipe: primary left of `swipe` (fraction of the view width), secondary right of it
+export const paintSlice = (data, view, { volData, lesionData, getVal, windowMin, windowMax, colorMap, overlay = DEFAULT_OVERLAY, currentLesionLabel, fusion = null }) => {
+    const { startI, startJ, renderWidth, renderHeight, fullWidth, fullHeight } = view;
+    const lut = colorMapLut(colorMap);
+    const range = windowMax - windowMin || 1;
+    const fusionLut = fusion ? colorMapLut(fusion.colorMap) : null;
+    const fusionRange = fusion ? (fusion.windowMax - fusion.windowMin || 1) : 1;
+    const swipeAt = fusion ? fusion.swipe * renderWidth : 0;
+    const checkerSize = fusion ? Math.max(1, Math.round(fusion.checkerSize)) : 1;
+    const showOverlay = !!lesionData && overlay.mode !== 'off';
+    const filled = overlay.mode === 'filled';
+    const alpha = filled ? overlay.opacity : 1;
+    const currentRgb = hexToRgb(overlay.currentColor);
+    const otherRgb = hexToRgb(overlay.otherColor);
+
+    for (let j = 0; j < renderHeight; j++) {
+        for (let i = 0; i < renderWidth; i++) {
+            const sourceI = startI + i;
+            const sourceJ = startJ + j;
+            const pxIdx = (j * renderWidth + i) * 4;
+            data[pxIdx + 3] = 255;
+            if (sourceI < 0 || sourceI >= fullWidth || sourceJ < 0 || sourceJ >= fullHeight) {
+                data[pxIdx] = data[pxIdx + 1] = data[pxIdx + 2] = 0;
+                continue;
+            }
+
+            const jFlip = fullHeight - 1 - sourceJ;
+            const idx = getVal(sourceI, jFlip);
+
+            // Window/Level through the colour map
+            const level = windowLevel(volData[idx], windowMin, range) * 3;
+            data[pxIdx] = lut[level];
+            data[pxIdx + 1] = lut[level + 1];
+            data[pxIdx + 2] = lut[level + 2];
+
+            if (fusion) {
+                let weight = fusion.opacity;
+                if (fusion.mode === 'checkerboard') {
+                    weight = (Math.floor(sourceI / checkerSize) + Math.floor(jFlip / checkerSize)) % 2;
+                } else if (fusion.mode === 'swipe') {
+                    weight = i >= swipeAt ? 1 : 0;
+                }
+                if (weight > 0) {
+                    const f = windowLevel(fusion.volData[idx], fusion.windowMin, fusionRange) * 3;
+                    data[pxIdx] += (fusionLut[f] - data[pxIdx]) * weight;
+                    data[pxIdx + 1] += (fusionLut[f + 1] - data[pxIdx + 1]) * weight;
+                    data[pxIdx + 2] += (fusionLut[f + 2] - data[pxIdx + 2]) * weight;
+                }
+            }
+
+            if (!showOverlay || !(lesionData[idx] > 0.5)) continue;
+            const label = Math.round(lesionData[idx]);
+
+            if (!filled) {
+                // Outline: voxels with a neighbour of another label (or at the image border)
+                const isEdge = sourceI === 0 || sourceI === fullWidth - 1 || jFlip === 0 || jFlip === fullHeight - 1 ||
+                    Math.round(lesionData[getVal(sourceI + 1, jFlip)]) !== label ||
+                    Math.round(lesionData[getVal(sourceI - 1, jFlip)]) !== label ||
+                    Math.round(lesionData[getVal(sourceI, jFlip + 1)]) !== label ||
+                    Math.round(lesionData[getVal(sourceI, jFlip - 1)]) !== label;
+                if (!isEdge) continue;
+            }
+
+            const rgb = currentLesionLabel && label === currentLesionLabel ? currentRgb : otherRgb;
+            data[pxIdx] += (rgb[0] - data[pxIdx]) * alpha;
+            data[pxIdx + 1] += (rgb[1] - data[pxIdx + 1]) * alpha;
+            data[pxIdx + 2] += (rgb[2] - data[pxIdx + 2]) * alpha;
+        }
+    }
+};
+
+// Fusion settings with the secondary volume attached, or null if fusion does not apply
+// (secondary not loaded, or the same modality as the primary)
+export const resolveFusion = (fusion, volumes, modality) => {
+    if (!fusion || !fusion.enabled || fusion.modality === modality || !volumes[fusion.modality]) return null;
+    return { ...fusion, volData: volumes[fusion.modality] };
+};
 
 export function renderSliceToDataURL({
     volumes, modality, axis, sliceCoords, dims, pixDims,
     fovZoom, showMask, windowMin, windowMax,
-    boxZoom // Optional: for drawing the box on full views
+    boxZoom, // Optional: for drawing the box on full views
+    colorMap = 'gray', overlay = DEFAULT_OVERLAY, currentLesionLabel, // same display settings as SliceViewer
+    fusion = null, // second modality settings { modality, windowMin, windowMax, colorMap, opacity, mode, checkerSize, swipe }
+    colorBar = false // draw the colour map with the window range at the bottom
 }) {
     const { x, y, z } = sliceCoords;
     const [dimX, dimY, dimZ] = dims;
@@ -82,58 +177,25 @@ export function renderSliceToDataURL({
     const lesionData = volumes.lesion;
     const wMin = windowMin ?? 0;
     const wMax = windowMax ?? 1000;
-    const range = wMax - wMin || 1;
 
+    const fused = resolveFusion(fusion, volumes, modality);
     if (volData) {
-        for (let j = 0; j < renderHeight; j++) {
-            for (let i = 0; i < renderWidth; i++) {
-                const sourceI = startI + i;
-                const sourceJ = startJ + j;
-                const jFlip = fullHeight - 1 - sourceJ;
-
-                let val = 0;
-                // Boundary check (if startI < 0 logic shouldn't happen due to clamp, but useful if we change logic)
-                if (sourceI >= 0 && sourceI < fullWidth && sourceJ >= 0 && sourceJ < fullHeight) {
-                    const idx = getVal(sourceI, jFlip);
-                    val = volData[idx];
-
-                    // Mask
-                    if (showMask && lesionData && lesionData[idx] > 0.5) {
-                        // Edge detection simplified
-                        // Just draw Green for now to save perf/complexity, or full mask
-                        let isEdge = false;
-                        // Simple neighboring
-                        // To do proper edge we need getVal which needs bounds. 
-                        // Let's implement full edge check from Viewer
-                        const n1 = (sourceI + 1 < fullWidth) ? lesionData[getVal(sourceI + 1, jFlip)] > 0.5 : false;
-                        const n2 = (sourceI - 1 >= 0) ? lesionData[getVal(sourceI - 1, jFlip)] > 0.5 : false;
-                        const n3 = (jFlip + 1 < fullHeight) ? lesionData[getVal(sourceI, jFlip + 1)] > 0.5 : false;
-                        const n4 = (jFlip - 1 >= 0) ? lesionData[getVal(sourceI, jFlip - 1)] > 0.5 : false;
-
-                        if (!n1 || !n2 || !n3 || !n4) isEdge = true;
-
-                        if (isEdge) {
-                            const pxIdx = (j * renderWidth + i) * 4;
-                            data[pxIdx] = 0; data[pxIdx + 1] = 255; data[pxIdx + 2] = 0; data[pxIdx + 3] = 255;
-                            continue; // Skip grayscale
-                        }
-                    }
-                }
-
-                let pixelVal = ((val - wMin) / range) * 255;
-                if (pixelVal < 0) pixelVal = 0;
-                if (pixelVal > 255) pixelVal = 255;
-
-                const pxIdx = (j * renderWidth + i) * 4;
-                data[pxIdx] = pixelVal;
-                data[pxIdx + 1] = pixelVal;
-                data[pxIdx + 2] = pixelVal;
-                data[pxIdx + 3] = 255;
-            }
-        }
+        paintSlice(data, { startI, startJ, renderWidth, renderHeight, fullWidth, fullHeight }, {
+            volData, lesionData: showMask ? lesionData : null, getVal, windowMin: wMin, windowMax: wMax,
+            colorMap, overlay, currentLesionLabel,
+            fusion: fused
+        });
     }
     ctx.putImageData(imgData, 0, 0);
 
+    if (fused && fused.mode === 'swipe') {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(fused.swipe * renderWidth, 0); ctx.lineTo(fused.swipe * renderWidth, renderHeight);
+        ctx.stroke();
+    }
+
     // 6. Draw Box if needed (on the buffer? No, box is vector)
     // Box logic assumes visual coordinates.
     if (boxZoom && !isZoomed) {
@@ -177,5 +239,28 @@ export function renderSliceToDataURL({
     // Draw buffer stretched to output (this applies the vertical scaling)
     outCtx.drawImage(bufferCanvas, 0, 0, renderWidth, renderHeight, 0, 0, outputCanvas.width, outputCanvas.height);
 
+    // 8. Orientation letters (volumes are in the RAS display frame)
+    const labels = viewOrientationLabels(axis);
+    outCtx.fillStyle = '#fde047';
+    outCtx.font = 'bold 16px sans-serif';
+    outCtx.textBaseline = 'middle';
+    outCtx.textAlign = 'left';
+    outCtx.fillText(labels.left, 4, outputCanvas.height / 2);
+    outCtx.textAlign = 'right';
+    outCtx.fillText(labels.right, outputCanvas.width - 4, outputCanvas.height / 2);
+    outCtx.textAlign = 'center';
+    outCtx.textBaseline = 'top';
+    outCtx.fillText(labels.top, outputCanvas.width / 2, 4);
+    outCtx.textBaseline = 'bottom';
+    outCtx.fillText(labels.bottom, outputCanvas.width / 2, outputCanvas.height - 4);
+
+    if (colorBar) {
+        const width = Math.min(160, outputCanvas.width / 3);
+        drawColorBar(outCtx, {
+            x: outputCanvas.width - width - 8, y: outputCanvas.height - 20, width, height: 10,
+            colorMap, windowMin: wMin, windowMax: wMax
+        });
+    }
+
     return outputCanvas.toDataURL('image/png');
 }
@@ -0,0 +1,100 @@
+// Resample a volume onto another voxel grid using the NIfTI affines.
+// Images use trilinear interpolation, masks nearest-neighbour (labels stay intact).
+
+// Inverse of a 4x4 affine (rigid/affine part + translation)
+export const invertAffine = (m) => {
+    const [a, b, c] = [m[0][0], m[0][1], m[0][2]];
+    const [d, e, f] = [m[1][0], m[1][1], m[1][2]];
+    const [g, h, i] = [m[2][0], m[2][1], m[2][2]];
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (!det) throw new Error("Affine is not invertible");
+
+    const r = [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det],
+    ];
+    const t = [m[0][3], m[1][3], m[2][3]];
+    return [
+        [r[0][0], r[0][1], r[0][2], -(r[0][0] * t[0] + r[0][1] * t[1] + r[0][2] * t[2])],
+        [r[1][0], r[1][1], r[1][2], -(r[1][0] * t[0] + r[1][1] * t[1] + r[1][2] * t[2])],
+        [r[2][0], r[2][1], r[2][2], -(r[2][0] * t[0] + r[2][1] * t[1] + r[2][2] * t[2])],
+        [0, 0, 0, 1],
+    ];
+};
+
+const multiplyAffine = (a, b) => {
+    const out = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 1]];
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 4; c++) {
+            out[r][c] = a[r][0] * b[0][c] + a[r][1] * b[1][c] + a[r][2] * b[2][c] + (c === 3 ? a[r][3] : 0);
+        }
+    }
+    return out;
+};
+
+// method: 'linear' (trilinear, Float32 output) or 'nearest' (keeps the source type)
+export const resampleToGrid = (srcData, srcDims, srcAffine, refDims, refAffine, method = 'linear', onProgress = () => { }) => {
+    const [sx, sy, sz] = srcDims;
+    const [rx, ry, rz] = refDims;
+    const sxy = sx * sy;
+
+    // reference voxel -> scanner mm -> source voxel
+    const m = multiplyAffine(invertAffine(srcAffine), refAffine);
+
+    const nearest = method === 'nearest';
+    const out = nearest ? new srcData.constructor(rx * ry * rz) : new Float32Array(rx * ry * rz);
+
+    let o = 0;
+    for (let z = 0; z < rz; z++) {
+        if (z % 10 === 0) onProgress(Math.round((z / rz) * 100));
+
+        for (let y = 0; y < ry; y++) {
+            // Source position of (0, y, z); stepping x adds the first column of m
+            let px = m[0][1] * y + m[0][2] * z + m[0][3];
+            let py = m[1][1] * y + m[1][2] * z + m[1][3];
+            let pz = m[2][1] * y + m[2][2] * z + m[2][3];
+
+            for (let x = 0; x < rx; x++, o++, px += m[0][0], py += m[1][0], pz += m[2][0]) {
+                if (nearest) {
+                    const ix = Math.round(px);
+                    const iy = Math.round(py);
+                    const iz = Math.round(pz);
+                    if (ix >= 0 && ix < sx && iy >= 0 && iy < sy && iz >= 0 && iz < sz) {
+                        out[o] = srcData[ix + iy * sx + iz * sxy];
+                    }
+                    continue;
+                }
+
+                // Trilinear: outside the source volume stays 0
+                if (px < 0 || py < 0 || pz < 0 || px > sx - 1 || py > sy - 1 || pz > sz - 1) continue;
+
+                const x0 = Math.floor(px);
+                const y0 = Math.floor(py);
+                const z0 = Math.floor(pz);
+                const x1 = Math.min(x0 + 1, sx - 1);
+                const y1 = Math.min(y0 + 1, sy - 1);
+                const z1 = Math.min(z0 + 1, sz - 1);
+                const fx = px - x0;
+                const fy = py - y0;
+                const fz = pz - z0;
+
+                const i00 = y0 * sx + z0 * sxy;
+                const i10 = y1 * sx + z0 * sxy;
+                const i01 = y0 * sx + z1 * sxy;
+                const i11 = y1 * sx + z1 * sxy;
+
+                const c00 = srcData[x0 + i00] * (1 - fx) + srcData[x1 + i00] * fx;
+                const c10 = srcData[x0 + i10] * (1 - fx) + srcData[x1 + i10] * fx;
+                const c01 = srcData[x0 + i01] * (1 - fx) + srcData[x1 + i01] * fx;
+                const c11 = srcData[x0 + i11] * (1 - fx) + srcData[x1 + i11] * fx;
+
+                const c0 = c00 * (1 - fy) + c10 * fy;
+                const c1 = c01 * (1 - fy) + c11 * fy;
+                out[o] = c0 * (1 - fz) + c1 * fz;
+            }
+        }
+    }
+    onProgress(100);
+    return out;
+};
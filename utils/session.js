@@ -0,0 +1,218 @@
+import { describeExtraction } from './lesionAnalysis';
+import { decodeDiff, diffFitsMask, applyDiff, measureLabels } from './maskEditing';
+
+// Session files: everything a rater produces for one subject, saved as versioned JSON
+// so work survives reloads and can be resumed or shared.
+//
+// Lesions are identified by their position in the volume-sorted list returned by
+// findConnectedComponents, so a session is only valid against the same lesion mask.
+// Each lesion record keeps its label, centroid and volume to verify that on import.
+// Mask edits (utils/maskEditing.js) are stored as the net voxel diff against that mask
+// and replayed before matching (matchSession); the records then follow the edited list.
+//
+// Version 2 added maskEdits.
+
+export const SESSION_FORMAT = 'cvsview-session';
+export const SESSION_VERSION = 2;
+
+const MODALITY_KEYS = ['flairStar', 'lesion', 'swi', 'flair', 'phase'];
+const EXTRACTION_KEYS = ['connectivity', 'threshold', 'minSizeVoxels', 'minSizeMm3', 'useExistingLabels'];
+
+// SHA-256 of a file's raw bytes (hex string), used to fingerprint source files
+export const hashBuffer = async (buffer) => {
+    if (!buffer || typeof crypto === 'undefined' || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+};
+
+// Best-effort subject ID from a BIDS-style file name or path
+export const guessSubjectId = (name) => {
+    const match = (name || '').match(/(sub-[a-zA-Z0-9]+)/);
+    return match ? match[1] : null;
+};
+
+// Best-effort BIDS session label (ses-XX) from a file name or path
+export const guessSessionId = (name) => {
+    const match = (name || '').match(/(ses-[a-zA-Z0-9]+)/);
+    return match ? match[1] : null;
+};
+
+// Build a serializable session object from the current app state
+export const buildSession = ({
+    subjectId, sessionLabel, raterName, blinded, sourceFiles, lesions, pixDims,
+    lesionScores, lesionPRL, lesionCoords, lesionExclusions = {}, cvsCriteria, cvsSummary, contrastSettings, extraction, layout, createdAt,
+    maskEdits, dims
+}) => {
+    const voxelMl = (pixDims[0] * pixDims[1] * pixDims[2]) / 1000;
+    const now = new Date().toISOString();
+
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        subjectId: subjectId || null,
+        sessionLabel: sessionLabel || null, // BIDS session (ses-XX)
+        rater: raterName || '',
+        blinded: !!blinded,
+        createdAt: createdAt || now,
+        updatedAt: now,
+        sourceFiles: sourceFiles || {},
+        pixDims: Array.from(pixDims),
+        contrastSettings,
+        extraction: extraction || null, // lesion extraction settings (utils/lesionAnalysis.js)
+        cvsCriteria: cvsCriteria || null, // { minDiameterMm } (utils/cvsCriteria.js)
+        layout: layout || null, // viewer layout { id, axis } (utils/viewLayout.js)
+        // Subject-level CVS counts with the NAIMS exclusions applied (summarizeCvs), for the dataset summary
+        summary: cvsSummary ? { eligible: cvsSummary.eligible, excluded: cvsSummary.excluded, rated: cvsSummary.rated, positive: cvsSummary.positive } : null,
+        // Net edit of the lesion mask in the display frame: encodeDiff runs (utils/maskEditing.js)
+        maskEdits: maskEdits && maskEdits.length > 0 ? { dims: Array.from(dims), runs: maskEdits } : null,
+        lesions: lesions.map((l, idx) => ({
+            index: idx,
+            label: l.id,
+            centroid: { x: l.x, y: l.y, z: l.z },
+            volumeVoxels: l.volume,
+            volumeMl: l.volume * voxelMl,
+            score: lesionScores[idx] ?? null,
+            prl: !!lesionPRL[idx],
+            viewCoords: lesionCoords[idx] || null,
+            // Rater's exclusion reason (null = explicitly included); omitted when the automatic flag applies
+            ...(Object.prototype.hasOwnProperty.call(lesionExclusions, idx) ? { exclusion: lesionExclusions[idx] } : {}),
+            // Lesion drawn or grown by the rater (not in the original mask)
+            ...(l.added ? { addedByRater: true } : {}),
+        })),
+    };
+};
+
+// Parse and validate session JSON text. Throws on unreadable or unsupported files.
+export const parseSession = (text) => {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (e) {
+        throw new Error("Session file is not valid JSON");
+    }
+
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error("Not a CvsView session file");
+    }
+    if (typeof session.version !== 'number' || session.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${session.version} (this app reads up to ${SESSION_VERSION})`);
+    }
+    if (!Array.isArray(session.lesions)) {
+        throw new Error("Session file has no lesion list");
+    }
+    return session;
+};
+
+// Compare a session against the currently loaded data.
+// errors: the lesion list does not correspond (import must be refused)
+// warnings: data looks compatible but something differs (user should confirm)
+export const checkSessionMatch = (session, { subjectId, sessionLabel, sourceFiles, lesions, extraction }) => {
+    const errors = [];
+    const warnings = [];
+
+    if (session.lesions.length !== lesions.length) {
+        errors.push(`Session has ${session.lesions.length} lesions but the loaded mask has ${lesions.length}.`);
+    } else {
+        const mismatched = session.lesions.filter((s, idx) => {
+            const l = lesions[idx];
+            return s.label !== l.id ||
+                s.volumeVoxels !== l.volume ||
+                s.centroid.x !== l.x || s.centroid.y !== l.y || s.centroid.z !== l.z;
+        });
+        if (mismatched.length > 0) {
+            const list = mismatched.slice(0, 5).map(s => s.index + 1).join(', ');
+            errors.push(`${mismatched.length} lesion(s) differ in label, centroid or volume (e.g. lesion ${list}).`);
+        }
+    }
+
+    if (session.subjectId && subjectId && session.subjectId !== subjectId) {
+        warnings.push(`Session is for ${session.subjectId} but ${subjectId} is loaded.`);
+    }
+    if (session.sessionLabel && sessionLabel && session.sessionLabel !== sessionLabel) {
+        warnings.push(`Session was rated on ${session.sessionLabel} but ${sessionLabel} is loaded.`);
+    }
+
+    if (session.extraction && extraction && EXTRACTION_KEYS.some(k => session.extraction[k] !== extraction[k])) {
+        warnings.push(`Lesions were extracted with different settings (${describeExtraction(session.extraction)}).`);
+    }
+
+    const saved = session.sourceFiles || {};
+    const current = sourceFiles || {};
+    MODALITY_KEYS.forEach(key => {
+        if (saved[key]?.sha256 && current[key]?.sha256 && saved[key].sha256 !== current[key].sha256) {
+            warnings.push(`${key} file differs from the one rated (${saved[key].name || 'unknown'}).`);
+        }
+    });
+
+    return { errors, warnings };
+};
+
+// Match a session against the unedited lesion mask: replay its mask edits, rebuild the
+// edited lesion list in the session's order and compare (checkSessionMatch).
+// Returns { errors, warnings, lesions, diff }; diff is the decoded edit (null without
+// edits) for the caller to apply. The mask is left unchanged.
+export const matchSession = (session, { mask, dims, lesions, ...context }) => {
+    if (!session.maskEdits) {
+        return { ...checkSessionMatch(session, { lesions, ...context }), lesions, diff: null };
+    }
+
+    const { dims: editDims, runs } = session.maskEdits;
+    if (!editDims || !dims || editDims.some((d, i) => d !== dims[i])) {
+        return { errors: [`Session mask edits were made on a ${(editDims || []).join('×')} volume.`], warnings: [], lesions, diff: null };
+    }
+    const diff = decodeDiff(runs || []);
+    if (!diffFitsMask(mask, diff)) {
+        return { errors: ["Session mask edits do not fit the loaded lesion mask."], warnings: [], lesions, diff: null };
+    }
+
+    applyDiff(mask, diff, 'redo');
+    const labels = new Set(session.lesions.map(s => s.label));
+    lesions.forEach(l => labels.add(l.id));
+    const measured = measureLabels(mask, dims, labels);
+    applyDiff(mask, diff, 'undo');
+
+    // Lesions removed by the edits (deleted, merged) have no voxels left
+    const edited = session.lesions.map(s => ({
+        id: s.label,
+        ...(measured.get(s.label) || { x: null, y: null, z: null, volume: 0 }),
+        ...(s.addedByRater ? { added: true } : {}) // rater-added lesions stay flagged after a reload
+    }));
+    const match = checkSessionMatch(session, { lesions: edited, ...context });
+    const sessionLabels = new Set(session.lesions.map(s => s.label));
+    const missing = lesions.filter(l => measured.has(l.id) && !sessionLabels.has(l.id));
+    if (missing.length > 0) {
+        match.errors.push(`${missing.length} lesion(s) of the loaded mask are not in the session.`);
+    }
+    return { ...match, lesions: edited, diff };
+};
+
+// Convert the per-lesion records back into the index-keyed maps used by App
+export const sessionToState = (session) => {
+    const lesionScores = {};
+    const lesionPRL = {};
+    const lesionCoords = {};
+    const lesionExclusions = {};
+
+    session.lesions.forEach(s => {
+        if (s.score !== null && s.score !== undefined) lesionScores[s.index] = s.score;
+        if (s.prl) lesionPRL[s.index] = true;
+        if (s.viewCoords) lesionCoords[s.index] = s.viewCoords;
+        if (s.exclusion !== undefined) lesionExclusions[s.index] = s.exclusion;
+    });
+
+    return { lesionScores, lesionPRL, lesionCoords, lesionExclusions };
+};
+
+export const sessionFileName = (session) => {
+    const subject = [session.subjectId || 'unknown', session.sessionLabel].filter(Boolean).join('_');
+    const rater = session.rater ? `_rater-${session.rater.replace(/[^a-zA-Z0-9]/g, '')}` : '';
+    return `${subject}${rater}_cvsview-session.json`;
+};
+
+// Rating progress: a lesion counts as rated once it has a score or a PRL flag
+export const sessionProgress = (session) => {
+    const rated = session.lesions.filter(s => (s.score !== null && s.score !== undefined) || s.prl).length;
+    return { rated, total: session.lesions.length };
+};
@@ -0,0 +1,88 @@
+// Browser-side autosave of rating sessions (IndexedDB).
+// Works fully offline: the Docker/nginx deployment has no backend to save to.
+
+const DB_NAME = 'cvsview';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+};
+
+// Run a single request against the store and resolve with its result
+const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = fn(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+// Sessions are keyed by subject and by the fingerprint of the files that define
+// the lesion list, so a re-segmented mask never resumes a stale rating.
+export const autosaveKey = (subjectId, sourceFiles) => {
+    const lesionHash = sourceFiles?.lesion?.sha256 || 'nohash';
+    const flairStarHash = sourceFiles?.flairStar?.sha256 || 'nohash';
+    return `${subjectId || 'unknown'}:${lesionHash.slice(0, 16)}:${flairStarHash.slice(0, 16)}`;
+};
+
+// ...and by rater, so raters sharing a browser do not overwrite each other's autosave
+export const raterAutosaveKey = (key, raterName) => `${key}:rater-${raterName || ''}`;
+
+export const saveAutosave = (key, session) => withStore('readwrite', store => store.put(session, key));
+
+export const loadAutosave = async (key) => {
+    const session = await withStore('readonly', store => store.get(key));
+    return session || null;
+};
+
+export const deleteAutosave = (key) => withStore('readwrite', store => store.delete(key));
+
+// Every autosaved session (all subjects and raters), for the dataset review queue
+export const listAutosaves = async () => {
+    const sessions = await withStore('readonly', store => store.getAll());
+    return sessions || [];
+};
+
+// The rater name is kept across reloads (localStorage) so a crashed session finds its autosave
+const RATER_STORAGE_KEY = 'cvsview.raterName';
+
+export const loadRaterName = () => {
+    try {
+        return (typeof localStorage !== 'undefined' && localStorage.getItem(RATER_STORAGE_KEY)) || '';
+    } catch (e) {
+        console.warn("Could not read saved rater name:", e);
+        return '';
+    }
+};
+
+export const saveRaterName = (name) => {
+    try {
+        localStorage.setItem(RATER_STORAGE_KEY, name);
+    } catch (e) {
+        console.warn("Could not save rater name:", e);
+    }
+};
@@ -0,0 +1,30 @@
+// Viewer layouts. 'standard' is the 2x3 grid of zoomed and full views of the selected
+// modality; the comparison layouts show one plane (`axis`) of every loaded modality side
+// by side, each with its own window and colour map, sharing one crosshair.
+
+export const VIEW_LAYOUTS = [
+    { id: 'standard', label: '2×3 Planes' },
+    { id: 'modalityRow', label: 'Modalities Row' },
+    { id: 'modalityGrid', label: 'Modalities 2×2' },
+];
+
+export const LAYOUT_AXES = [
+    { id: 'x', label: 'Sagittal' },
+    { id: 'y', label: 'Coronal' },
+    { id: 'z', label: 'Axial' },
+];
+
+export const MODALITY_LABELS = {
+    flairStar: 'FLAIRSTAR',
+    swi: 'SWI',
+    flair: 'FLAIR',
+    phase: 'Phase',
+};
+
+export const DEFAULT_LAYOUT = { id: 'standard', axis: 'z' };
+
+// Layout stored in a session file, or the default for missing/unknown values
+export const normalizeLayout = (layout) => ({
+    id: VIEW_LAYOUTS.some(l => l.id === layout?.id) ? layout.id : DEFAULT_LAYOUT.id,
+    axis: LAYOUT_AXES.some(a => a.id === layout?.axis) ? layout.axis : DEFAULT_LAYOUT.axis,
+});
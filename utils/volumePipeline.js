@@ -0,0 +1,248 @@
+import * as nifti from 'nifti-reader-js';
+import { loadNifti } from './niftiLoader';
+import { findConnectedComponents, DEFAULT_EXTRACTION } from './lesionAnalysis';
+import { computeLesionMetrics } from './lesionMetrics';
+import { zNormalize, calculateContrastPercentiles } from './imageProcessing';
+import { hashBuffer } from './session';
+import { compareGrid } from './gridCheck';
+import { resampleToGrid } from './resample';
+import { synthesizeFlairStar } from './flairStar';
+import { DATASET_FILE_LABELS } from './bidsDataset';
+import { getRasTransform, axisCodes, reorientVolume, reorientDims, reorientAffine } from './orientation';
+
+// Loading pipeline: fingerprint -> parse -> resample -> reorient -> normalize -> lesion analysis -> metrics.
+// Runs in a Web Worker (volumePipelineWorker.js) so the UI stays responsive; progress is
+// reported as structured { stage, percent, message } objects.
+
+const VOLUME_KEYS = ['flairStar', 'lesion', 'swi', 'flair', 'phase'];
+
+export const STAGES = {
+    hash: 'Fingerprinting files',
+    parse: 'Parsing NIfTI files',
+    resample: 'Resampling',
+    synthesize: 'Synthesising FLAIR*',
+    reorient: 'Reorienting volumes',
+    normalize: 'Normalizing volumes',
+    lesions: 'Analyzing lesions',
+    metrics: 'Measuring lesions',
+};
+
+export const processVolumes = async (buffers, options = {}, onProgress = () => { }) => {
+    const report = (stage, percent, detail) => onProgress({
+        stage,
+        percent,
+        message: detail ? `${STAGES[stage]}: ${detail}` : `${STAGES[stage]}...`
+    });
+
+    // Fingerprint source files so saved sessions can be matched to them
+    const fingerprints = {};
+    const present = VOLUME_KEYS.filter(key => buffers[key]);
+    for (let i = 0; i < present.length; i++) {
+        report('hash', Math.round((i / present.length) * 100), present[i]);
+        fingerprints[present[i]] = await hashBuffer(buffers[present[i]]);
+    }
+
+    const parsed = {};
+    for (let i = 0; i < present.length; i++) {
+        report('parse', Math.round((i / present.length) * 100), present[i]);
+        parsed[present[i]] = loadNifti(buffers[present[i]]);
+    }
+    // Without a FLAIRSTAR file it can be synthesised from FLAIR and SWI, on the FLAIR grid
+    const synthesize = !parsed.flairStar && !!options.synthesizeFlairStar;
+    if (synthesize && !(parsed.flair && parsed.swi)) {
+        throw new Error("FLAIR* synthesis needs a FLAIR and an SWI / T2*-weighted magnitude file");
+    }
+    const referenceKey = synthesize ? 'flair' : 'flairStar';
+    const reference = parsed[referenceKey];
+    if (!reference || !parsed.lesion) throw new Error("Missing Core Files");
+
+    // Resample secondary volumes whose grid differs onto the reference grid
+    let lesionResampled = false;
+    if (options.resampleToReference) {
+        for (const key of ['lesion', 'swi', 'flair', 'phase']) {
+            const v = parsed[key];
+            if (!v || v === reference || compareGrid(reference, v).length === 0) continue;
+
+            const method = key === 'lesion' ? 'nearest' : 'linear';
+            v.data = resampleToGrid(v.data, v.dims, v.affine, reference.dims, reference.affine, method,
+                (pct) => report('resample', pct, `${key} onto the ${DATASET_FILE_LABELS[referenceKey]} grid`));
+            v.dims = reference.dims;
+            v.pixDims = reference.pixDims;
+            v.affine = reference.affine;
+            if (key === 'lesion') lesionResampled = true;
+        }
+    }
+
+    if (synthesize) {
+        report('synthesize', 0);
+        const data = synthesizeFlairStar(parsed.flair.data, parsed.swi.data, reference.dims, reference.pixDims || [1, 1, 1],
+            { biasCorrection: !!options.biasCorrection }, (pct) => report('synthesize', pct));
+        parsed.flairStar = { ...reference, data };
+        present.unshift('flairStar');
+    }
+    const vFlairStar = parsed.flairStar;
+
+    // Reorient all volumes into the canonical RAS display frame (see orientation.js)
+    report('reorient', 0);
+    const srcDims = vFlairStar.dims;
+    const rasTransform = getRasTransform(vFlairStar.affine);
+    present.forEach(key => {
+        parsed[key].data = reorientVolume(parsed[key].data, srcDims, rasTransform);
+    });
+    const dims = reorientDims(srcDims, rasTransform);
+    const srcPixDims = vFlairStar.pixDims || [1, 1, 1];
+
+    report('normalize', 0);
+    const normFlairStar = zNormalize(vFlairStar.data);
+    const normSwi = parsed.swi ? zNormalize(parsed.swi.data) : null;
+    const normFlair = parsed.flair ? zNormalize(parsed.flair.data) : null;
+    const rawPhase = parsed.phase ? parsed.phase.data : null;
+
+    report('normalize', 50);
+    const contrastSettings = {
+        flairStar: calculateContrastPercentiles(normFlairStar, 2.0, 99.5),
+        swi: normSwi ? calculateContrastPercentiles(normSwi, 2.0, 99.5) : { min: -1.5, max: 1.96 },
+        flair: normFlair ? calculateContrastPercentiles(normFlair, 2.0, 99.5) : { min: -1.5, max: 1.96 },
+        phase: { min: -500, max: 500 }
+    };
+    const contrastLimits = {
+        flairStar: calculateContrastPercentiles(normFlairStar, 0.01, 99.99),
+        swi: normSwi ? calculateContrastPercentiles(normSwi, 0.01, 99.99) : { min: -5, max: 10 },
+        flair: normFlair ? calculateContrastPercentiles(normFlair, 0.01, 99.99) : { min: -5, max: 10 },
+        phase: rawPhase ? calculateContrastPercentiles(rawPhase, 0.01, 99.99) : { min: -1000, max: 1000 }
+    };
+
+    const pixDims = rasTransform.perm.map(p => srcPixDims[p]);
+    const extraction = { ...DEFAULT_EXTRACTION, ...options.extraction };
+    const analysis = await findConnectedComponents(parsed.lesion.data, dims,
+        { ...extraction, voxelMm3: pixDims[0] * pixDims[1] * pixDims[2] },
+        ({ percent, message }) => report('lesions', percent, message));
+
+    const volumes = {
+        flairStar: normFlairStar,
+        phase: rawPhase,
+        swi: normSwi,
+        flair: normFlair,
+        lesion: analysis.labeledMask
+    };
+
+    report('metrics', 0);
+    const lesionMetrics = computeLesionMetrics(analysis.labeledMask, dims, pixDims, analysis.lesions, volumes);
+
+    return {
+        fingerprints,
+        dims,
+        pixDims,
+        affine: vFlairStar.affine ? reorientAffine(vFlairStar.affine, srcDims, rasTransform) : null,
+        orientation: {
+            transform: rasTransform,
+            srcDims,
+            sourceCodes: axisCodes(rasTransform),
+            obliqueDeg: rasTransform.obliqueDeg
+        },
+        lesionResampled,
+        flairStarSynthesis: synthesize ? { from: ['flair', 'swi'], biasCorrection: !!options.biasCorrection } : null,
+        volumes,
+        lesions: analysis.lesions,
+        lesionMetrics,
+        extraction,
+        contrastSettings,
+        contrastLimits,
+    };
+};
+
+// Typed-array buffers of a pipeline result, so they can be transferred instead of copied
+export const resultTransferables = (result) =>
+    Object.values(result.volumes).filter(Boolean).map(v => v.buffer);
+
+// The worker is bundled separately (npm run build:worker) into public/, which the web
+// export serves next to index.html
+const WORKER_URL = 'volumePipelineWorker.js';
+
+// Start a worker and wait for its 'ready' message. Resolves null when the script is
+// missing or fails to load, so the caller can still process on the main thread.
+const startWorker = () => new Promise((resolve) => {
+    let worker;
+    try {
+        worker = new Worker(new URL(WORKER_URL, document.baseURI));
+    } catch (e) {
+        console.warn("Web Worker unavailable:", e);
+        resolve(null);
+        return;
+    }
+    worker.onmessage = (event) => {
+        if (event.data?.type === 'ready') resolve(worker);
+    };
+    worker.onerror = (e) => {
+        console.warn("Web Worker failed to start:", e.message || e);
+        e.preventDefault?.();
+        worker.terminate();
+        resolve(null);
+    };
+});
+
+// Start the pipeline in a Web Worker. The input buffers are transferred to the worker once it
+// has started; without a working worker they are processed on the main thread instead.
+// Returns { promise, cancel }; cancel() stops the worker and rejects with err.cancelled = true.
+export const startVolumePipeline = (buffers, options, onProgress = () => { }) => {
+    let worker = null;
+    let cancelled = false;
+    let rejectJob = () => { };
+
+    const cancelledError = () => {
+        const err = new Error("Loading cancelled");
+        err.cancelled = true;
+        return err;
+    };
+
+    const promise = (async () => {
+        // Headers stay on the main thread: they are the templates for NIfTI exports.
+        // A synthesised FLAIR* lives on the FLAIR grid, so that header stands in for it.
+        const referenceBuffer = buffers.flairStar || (options.synthesizeFlairStar ? buffers.flair : null);
+        const headers = {
+            flairStar: referenceBuffer ? await nifti.readHeaderAsync(referenceBuffer) : null,
+            lesion: buffers.lesion ? await nifti.readHeaderAsync(buffers.lesion) : null,
+        };
+        if (cancelled) throw cancelledError();
+
+        worker = await startWorker();
+        if (cancelled) {
+            if (worker) worker.terminate();
+            throw cancelledError();
+        }
+        if (!worker) {
+            console.warn("Processing on the main thread");
+            const result = await processVolumes(buffers, options, onProgress);
+            if (cancelled) throw cancelledError();
+            return { ...result, headers };
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            rejectJob = reject;
+            worker.onmessage = (event) => {
+                const msg = event.data;
+                if (msg.type === 'progress') {
+                    onProgress(msg.progress);
+                } else if (msg.type === 'done') {
+                    resolve(msg.result);
+                } else if (msg.type === 'error') {
+                    reject(new Error(msg.message));
+                }
+            };
+            worker.onerror = (e) => reject(new Error(e.message || "Processing worker failed"));
+
+            const transfer = Object.values(buffers).filter(Boolean);
+            worker.postMessage({ buffers, options }, transfer);
+        }).finally(() => worker.terminate());
+
+        return { ...result, headers };
+    })();
+
+    const cancel = () => {
+        cancelled = true;
+        if (worker) worker.terminate();
+        rejectJob(cancelledError());
+    };
+
+    return { promise, cancel };
+};
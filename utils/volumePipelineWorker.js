@@ -0,0 +1,16 @@
+import { processVolumes, resultTransferables } from './volumePipeline';
+
+// Worker entry: run the loading pipeline and transfer the volumes back
+self.onmessage = async (event) => {
+    const { buffers, options } = event.data;
+    try {
+        const result = await processVolumes(buffers, options,
+            (progress) => self.postMessage({ type: 'progress', progress }));
+        self.postMessage({ type: 'done', result }, resultTransferables(result));
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};
+
+// Tells startVolumePipeline the script loaded, before any buffers are transferred
+self.postMessage({ type: 'ready' });